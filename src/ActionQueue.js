@@ -0,0 +1,205 @@
+/**
+ * ActionQueue - Per-NPC queue of steps that run one after another
+ * Steps are enqueued in plans (e.g. every tool call from one model response),
+ * so "collect a rock, walk to the player, then speak" is carried out in order
+ * instead of each call overriding the last. Each step has a type - walk, act,
+ * speak or wait - used when describing the plan to the agent.
+ *
+ * Interruption rules:
+ * - A plan carries the priority of whatever created it (AgentEventQueue priorities).
+ * - interrupt(priority) cancels only plans with a lower priority: the running
+ *   plan and any queued behind it.
+ * - The running step is cut short: the NPC stops walking where it stands and
+ *   waits end early. Acting and speaking are instant, so they always finish.
+ * - Steps that didn't get to run resolve with { success: false, status: 'interrupted' }.
+ */
+export class ActionQueue {
+    constructor(npc) {
+        this.npc = npc;
+        this.plans = [];          // plans waiting their turn
+        this.current = null;      // { plan, step, index } while a step runs
+        this.running = false;
+        this.activeWait = null;   // { remaining, resolve } for a running wait step
+        this.history = [];        // recently finished steps, newest last
+        this.maxHistory = 5;
+    }
+
+    /**
+     * Queue a plan
+     * @param {Array} steps - [{ type: 'walk' | 'act' | 'speak' | 'wait', label, run: () => result }]
+     * @param {Object} options - { label, priority }
+     * @returns {Promise<Array>} - Each step's result, in order
+     */
+    enqueue(steps, options = {}) {
+        const plan = {
+            label: options.label || 'plan',
+            priority: options.priority ?? 0,
+            steps: steps.map(step => ({
+                type: step.type || 'act',
+                label: step.label || step.type || 'act',
+                run: step.run
+            })),
+            interrupted: null
+        };
+        plan.done = new Promise(resolve => { plan.resolve = resolve; });
+
+        this.plans.push(plan);
+        console.log(`[NPC ${this.npc.id}] Queued plan "${plan.label}": ${plan.steps.map(s => s.label).join(' -> ')}`);
+
+        if (!this.running) {
+            this.runPlans();
+        }
+        return plan.done;
+    }
+
+    async runPlans() {
+        this.running = true;
+
+        let plan;
+        while ((plan = this.plans.shift())) {
+            const results = [];
+            for (let index = 0; index < plan.steps.length; index++) {
+                const step = plan.steps[index];
+                if (plan.interrupted) {
+                    results.push(this.interruptedResult(plan));
+                    continue;
+                }
+
+                this.current = { plan, step, index };
+                let result;
+                try {
+                    result = await step.run();
+                } catch (error) {
+                    console.error(`[NPC ${this.npc.id}] Step ${step.label} failed:`, error);
+                    result = { success: false, error: error.message };
+                }
+
+                // A step cut short by an interruption reports that rather than its own failure
+                if (plan.interrupted && result?.success === false) {
+                    result = { ...result, status: 'interrupted', interruptedBy: plan.interrupted };
+                }
+
+                results.push(result);
+                this.record(step, result);
+            }
+
+            this.current = null;
+            plan.resolve(results);
+        }
+
+        this.running = false;
+    }
+
+    /**
+     * Cancel plans created with a lower priority than `priority`
+     * @returns {boolean} - Whether anything was interrupted
+     */
+    interrupt(priority = Infinity, reason = 'interrupted') {
+        const currentPlan = this.current?.plan;
+        const interruptsCurrent = currentPlan && !currentPlan.interrupted && priority > currentPlan.priority;
+        const cancelled = this.plans.filter(plan => priority > plan.priority);
+        if (!interruptsCurrent && cancelled.length === 0) {
+            return false;
+        }
+
+        console.log(`[NPC ${this.npc.id}] Plan interrupted by ${reason}`);
+
+        // Queued plans never started: resolve them straight away
+        this.plans = this.plans.filter(plan => !cancelled.includes(plan));
+        cancelled.forEach(plan => {
+            plan.interrupted = reason;
+            plan.resolve(plan.steps.map(() => this.interruptedResult(plan)));
+        });
+
+        if (interruptsCurrent) {
+            currentPlan.interrupted = reason;
+            if (this.npc.isMoving) {
+                this.npc.stopMoving('interrupted');
+            }
+            if (this.activeWait) {
+                this.activeWait.resolve({ success: false, status: 'interrupted', interruptedBy: reason });
+                this.activeWait = null;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Cancel everything regardless of priority
+     */
+    clear(reason = 'cleared') {
+        return this.interrupt(Infinity, reason);
+    }
+
+    interruptedResult(plan) {
+        return { success: false, status: 'interrupted', interruptedBy: plan.interrupted, error: `Not carried out: interrupted by ${plan.interrupted}` };
+    }
+
+    /**
+     * Pause the running step for `seconds` of game time (advanced in update)
+     */
+    wait(seconds) {
+        return new Promise(resolve => {
+            this.activeWait = {
+                remaining: seconds,
+                resolve: resolve
+            };
+        });
+    }
+
+    /**
+     * Advance wait steps (called from NPC.update)
+     */
+    update(delta) {
+        if (!this.activeWait) return;
+
+        this.activeWait.remaining -= delta;
+        if (this.activeWait.remaining <= 0) {
+            const { resolve } = this.activeWait;
+            this.activeWait = null;
+            resolve({ success: true, status: 'waited' });
+        }
+    }
+
+    record(step, result) {
+        this.history.push({
+            label: step.label,
+            type: step.type,
+            success: result?.success !== false,
+            error: result?.error
+        });
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+    }
+
+    isIdle() {
+        return !this.running;
+    }
+
+    /**
+     * Whether a plan with at least this priority is running or queued
+     */
+    hasPlanAtOrAbove(priority) {
+        const currentPlan = this.current?.plan;
+        return (!!currentPlan && !currentPlan.interrupted && currentPlan.priority >= priority) ||
+            this.plans.some(plan => plan.priority >= priority);
+    }
+
+    /**
+     * Current plan for the agent context: the running step, what's queued after it, and recent outcomes
+     */
+    getPlan() {
+        const queued = [];
+        if (this.current) {
+            this.current.plan.steps.slice(this.current.index + 1).forEach(step => queued.push({ type: step.type, label: step.label }));
+        }
+        this.plans.forEach(plan => plan.steps.forEach(step => queued.push({ type: step.type, label: step.label })));
+
+        return {
+            current: this.current ? { type: this.current.step.type, label: this.current.step.label } : null,
+            queued: queued,
+            recent: [...this.history]
+        };
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * AgentEventQueue - Per-NPC priority queue for agent events
+ * Events that arrive while the agent is busy wait here instead of being dropped.
+ * Higher priority events are handled first; within a priority, oldest first.
+ * Duplicate events (e.g. repeated weather changes) are coalesced into one entry.
+ */
+
+// Higher number = handled sooner
+export const EVENT_PRIORITIES = {
+    hit: 3,
+    player_query: 2,
+    witnessed_event: 2,
+    environment_change: 1,
+    npc_speech: 1,
+    periodic: 0,
+    periodic_check: 0
+};
+
+export class AgentEventQueue {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 10;
+        this.entries = [];
+        this.sequence = 0;
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Priority for an event type (unknown events rank with environment changes)
+     */
+    static getPriority(eventType) {
+        return EVENT_PRIORITIES[eventType] ?? EVENT_PRIORITIES.environment_change;
+    }
+
+    /**
+     * Events sharing a key replace each other while queued
+     * Player messages are never coalesced unless they are word-for-word repeats.
+     */
+    static getCoalesceKey(eventType, eventData = {}) {
+        switch (eventType) {
+            case 'environment_change':
+                return `environment_change:${eventData.change || 'unknown'}`;
+            case 'hit':
+                return `hit:${eventData.thrower?.id ?? 'unknown'}`;
+            case 'player_query':
+                return `player_query:${(eventData.transcript || '').trim().toLowerCase()}`;
+            case 'witnessed_event':
+                // The latest (with the offence count so far) replaces the rest
+                return 'witnessed_event';
+            case 'npc_speech':
+                // Only the latest line of a conversation needs an answer
+                return `npc_speech:${eventData.conversationId}`;
+            case 'periodic':
+            case 'periodic_check':
+                return 'periodic';
+            default:
+                return `${eventType}:${JSON.stringify(eventData)}`;
+        }
+    }
+
+    /**
+     * Queue an event. Returns the queue entry; `entry.done` resolves once the
+     * event has been handled, coalesced away or dropped.
+     */
+    push(eventType, eventData = {}) {
+        const entry = {
+            id: ++this.sequence,
+            eventType: eventType,
+            eventData: eventData,
+            priority: AgentEventQueue.getPriority(eventType),
+            coalesceKey: AgentEventQueue.getCoalesceKey(eventType, eventData),
+            queuedAt: Date.now(),
+            resolvers: []
+        };
+        entry.done = new Promise(resolve => entry.resolvers.push(resolve));
+
+        const existingIndex = this.entries.findIndex(e => e.coalesceKey === entry.coalesceKey);
+        if (existingIndex >= 0) {
+            const existing = this.entries[existingIndex];
+            this.entries.splice(existingIndex, 1);
+            this.mergeInto(entry, existing);
+
+            // A weather that changed and changed back is no change at all
+            if (entry.eventType === 'environment_change' && entry.eventData.previous === entry.eventData.current) {
+                console.log(`[EventQueue] ${entry.coalesceKey} reverted to ${entry.eventData.current}, dropping`);
+                this.resolve(entry);
+                return entry;
+            }
+        }
+
+        this.entries.push(entry);
+
+        // Keep the queue bounded by dropping the oldest lowest-priority entry
+        if (this.entries.length > this.maxSize) {
+            const dropped = this.entries.reduce((lowest, e) =>
+                (e.priority < lowest.priority || (e.priority === lowest.priority && e.id < lowest.id)) ? e : lowest
+            );
+            this.remove(dropped);
+            console.log(`[EventQueue] Queue full, dropped ${dropped.eventType}`);
+            this.resolve(dropped);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Fold an older queued entry into a newer one with the same coalesce key
+     */
+    mergeInto(entry, older) {
+        entry.resolvers.push(...older.resolvers);
+        entry.id = Math.min(entry.id, older.id); // keep its place in line
+        entry.coalesced = (older.coalesced || 1) + 1;
+
+        if (entry.eventType === 'environment_change') {
+            // Report the overall change, from the first previous value to the latest one
+            entry.eventData = {
+                ...entry.eventData,
+                previous: older.eventData.previous,
+                details: `${entry.eventData.change === 'weather' ? 'Weather' : 'Time'} changed from ${older.eventData.previous} to ${entry.eventData.current}`
+            };
+        } else if (entry.eventType === 'hit') {
+            entry.eventData = {
+                ...entry.eventData,
+                hitCount: (older.eventData.hitCount || 1) + 1
+            };
+        }
+    }
+
+    /**
+     * Remove and return the next entry to handle (or null)
+     */
+    shift() {
+        if (this.entries.length === 0) return null;
+
+        const next = this.entries.reduce((best, e) =>
+            (e.priority > best.priority || (e.priority === best.priority && e.id < best.id)) ? e : best
+        );
+        this.remove(next);
+        return next;
+    }
+
+    remove(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index >= 0) {
+            this.entries.splice(index, 1);
+        }
+    }
+
+    /**
+     * Mark an entry as finished
+     */
+    resolve(entry) {
+        entry.resolvers.forEach(resolve => resolve());
+        entry.resolvers = [];
+    }
+
+    /**
+     * Drop every queued entry
+     */
+    clear() {
+        this.entries.forEach(entry => this.resolve(entry));
+        this.entries = [];
+    }
+
+    /**
+     * Whether `incoming` makes the in-flight `current` event not worth finishing
+     * Only low-priority events (environment changes, idle checks) go stale: when a
+     * newer version of the same event arrives, or something more urgent does.
+     */
+    static isStale(current, incoming) {
+        if (current.priority > EVENT_PRIORITIES.environment_change) {
+            return false;
+        }
+        return current.coalesceKey === incoming.coalesceKey || incoming.priority > current.priority;
+    }
+
+    /**
+     * Queued events for debugging/inspection
+     */
+    toArray() {
+        return [...this.entries]
+            .sort((a, b) => b.priority - a.priority || a.id - b.id)
+            .map(e => ({ eventType: e.eventType, priority: e.priority, coalesced: e.coalesced || 1 }));
+    }
+}
@@ -0,0 +1,255 @@
+import * as THREE from 'three';
+import { escapeHTML } from './HTMLUtils.js';
+
+/**
+ * AgentInspector - Debug overlay for one NPC's agent
+ * Shows the NPC under the crosshair (or one selected with [ and ]): its state,
+ * action queue, reputation, mood, the event it is handling and the last model
+ * round trip with its tool calls and results. Toggled with the I key.
+ *
+ * Everything comes from NPC.getContextForLLM, NPCMemory.getContext and the
+ * agent's decision traces, so it shows what the agent itself sees.
+ */
+export class AgentInspector {
+    constructor(game) {
+        this.game = game;
+        this.visible = false;
+        this.refreshTimer = null;
+        this.selectedNpcId = null;   // null: follow the crosshair
+        this.targetNpc = null;
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.far = 60;
+
+        this.element = document.createElement('div');
+        this.element.id = 'agent-inspector';
+        this.element.style.cssText = `
+            position: absolute;
+            top: 240px;
+            left: 20px;
+            color: white;
+            background: rgba(0, 0, 0, 0.8);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 200;
+            font-family: monospace;
+            font-size: 12px;
+            width: 420px;
+            max-height: calc(100vh - 280px);
+            overflow: hidden;
+            display: none;
+            pointer-events: none;
+        `;
+        document.body.appendChild(this.element);
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.visible = true;
+        this.element.style.display = 'block';
+        this.render();
+        this.refreshTimer = setInterval(() => this.render(), 250);
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Step through NPCs (+1 / -1), leaving crosshair mode
+     */
+    selectNext(step = 1) {
+        const npcs = this.game.npcs;
+        if (npcs.length === 0) return;
+
+        const current = npcs.findIndex(npc => npc.id === (this.selectedNpcId ?? this.targetNpc?.id));
+        const index = current < 0 ? 0 : (current + step + npcs.length) % npcs.length;
+        this.selectedNpcId = npcs[index].id;
+        this.render();
+    }
+
+    /**
+     * Go back to inspecting whatever NPC is under the crosshair
+     */
+    followCrosshair() {
+        this.selectedNpcId = null;
+        this.render();
+    }
+
+    /**
+     * NPC the camera is looking at, if any
+     */
+    findNPCUnderCrosshair() {
+        const npcs = this.game.npcs.filter(npc => npc.mesh);
+        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.game.camera);
+        const hit = this.raycaster.intersectObjects(npcs.map(npc => npc.mesh), true)[0];
+        if (!hit) return null;
+
+        return npcs.find(npc => {
+            let object = hit.object;
+            while (object) {
+                if (object === npc.mesh) return true;
+                object = object.parent;
+            }
+            return false;
+        }) || null;
+    }
+
+    render() {
+        if (this.selectedNpcId !== null) {
+            this.targetNpc = this.game.npcs.find(npc => npc.id === this.selectedNpcId) || null;
+        } else {
+            // Keep showing the last NPC looked at until another one is targeted
+            this.targetNpc = this.findNPCUnderCrosshair() || this.targetNpc;
+        }
+
+        const mode = this.selectedNpcId !== null ? 'selected' : 'crosshair';
+        const help = '<div style="color: #888; font-size: 10px; margin-top: 8px;">[ / ] select NPC &nbsp; \\ follow crosshair &nbsp; I close</div>';
+        const npc = this.targetNpc;
+
+        if (!npc) {
+            this.element.innerHTML = `
+                <div style="font-weight: bold; margin-bottom: 6px;">Agent Inspector</div>
+                <div style="color: #aaa;">Look at an NPC or press ] to select one.</div>
+                ${help}
+            `;
+            return;
+        }
+
+        const state = npc.getContextForLLM();
+        const agent = npc.agent;
+        const memory = agent?.memory?.getContext();
+        const name = npc.getDisplayName();
+
+        this.element.innerHTML = `
+            <div style="font-weight: bold; margin-bottom: 6px;">${escapeHTML(name)} <span style="color: #888; font-weight: normal;">#${npc.id} (${mode})</span></div>
+            ${this.renderState(npc, state, memory)}
+            ${this.renderPlan(state.plan)}
+            ${agent ? this.renderAgent(agent) : '<div style="color: #aaa;">No agent</div>'}
+            ${help}
+        `;
+    }
+
+    renderState(npc, state, memory) {
+        const position = state.position;
+        const reputation = memory?.playerReputation ?? 0;
+        const interactions = (memory?.recentPlayerInteractions || []).slice(-3)
+            .map(interaction => `${interaction.type} (${interaction.impact})`).join(', ');
+        const tree = npc.behavior.tree.getStatus();
+        const behavior = !tree.enabled ? 'off'
+            : tree.reason ? `${escapeHTML(tree.behavior || 'deciding')} <span style="color: #888;">(${escapeHTML(tree.reason)})</span>`
+            : '<span style="color: #888;">agent in control</span>';
+        const perceived = state.perceived;
+        const seen = perceived
+            ? [perceived.player ? 'player' : null, ...perceived.npcs.map(other => other.name)].filter(Boolean).join(', ') || 'nobody'
+            : '?';
+        const mood = state.mood;
+        const moodLine = mood
+            ? `${escapeHTML(mood.label)} <span style="color: #888;">(valence ${mood.valence}, arousal ${mood.arousal}; face ${escapeHTML(mood.expression)})</span>`
+            : escapeHTML(npc.currentExpression || 'Neutral');
+        const relations = (memory?.relationships || [])
+            .map(entry => `${entry.name} ${entry.affinity > 0 ? '+' : ''}${entry.affinity.toFixed(2)}${entry.fear >= 0.15 ? ' (wary)' : ''}`)
+            .join(', ');
+        const limitedBy = perceived?.conditions.limitedBy.length > 0 ? ` (${perceived.conditions.limitedBy.join(', ')}: ${Math.round(perceived.conditions.range)} units)` : '';
+
+        return `
+            ${section('State')}
+            <div>${escapeHTML(state.state)} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)}) &nbsp; rocks: ${state.inventory?.rocks ?? 0}</div>
+            <div>Mood: ${moodLine}</div>
+            <div>Behavior: ${behavior}</div>
+            <div>Sees: ${escapeHTML(seen)}<span style="color: #888;">${escapeHTML(limitedBy)}</span></div>
+            <div>Reputation: <span style="color: ${reputation > 0 ? '#8f8' : reputation < 0 ? '#f88' : '#ccc'};">${reputation > 0 ? '+' : ''}${reputation}</span>${interactions ? ` <span style="color: #888;">${escapeHTML(interactions)}</span>` : ''}</div>
+            ${relations ? `<div>Relations: <span style="color: #888;">${escapeHTML(relations)}</span></div>` : ''}
+        `;
+    }
+
+    renderPlan(plan) {
+        if (!plan) return '';
+
+        const steps = plan.current
+            ? [plan.current, ...plan.queued].map((step, index) => `${index === 0 ? '<b>' : ''}${escapeHTML(step.label)}${index === 0 ? '</b>' : ''}`).join(' &rarr; ')
+            : '<span style="color: #aaa;">idle</span>';
+        const recent = plan.recent.slice().reverse()
+            .map(step => `<div style="color: ${step.success ? '#8f8' : '#f88'};">${step.success ? '&#10003;' : '&#10007;'} ${escapeHTML(step.label)}${step.error ? ` - ${escapeHTML(truncate(step.error, 60))}` : ''}</div>`)
+            .join('');
+
+        return `
+            ${section('Action Queue')}
+            <div>${steps}</div>
+            ${recent}
+        `;
+    }
+
+    renderAgent(agent) {
+        const queued = agent.eventQueue.toArray().map(entry => entry.eventType).join(', ');
+        const trace = agent.trace.getLast();
+
+        let html = `
+            ${section('Agent')}
+            <div>${agent.isProcessing ? `Handling <b>${escapeHTML(agent.currentEvent?.eventType || '?')}</b>` : 'Idle'}${queued ? ` &nbsp; queued: ${escapeHTML(queued)}` : ''}</div>
+            <div style="color: #888;">${escapeHTML(agent.provider.getLabel())}${agent.fallbackProvider ? ` (fallback: ${escapeHTML(agent.fallbackProvider.getLabel())})` : ''}</div>
+        `;
+        if (!trace) {
+            return html;
+        }
+
+        html += `
+            ${section('Last Event')}
+            <div>${escapeHTML(trace.eventType)} <span style="color: #888;">${trace.status}${trace.durationMs !== null ? `, ${trace.durationMs} ms` : ''}, ${trace.turns.length} turn(s)</span></div>
+        `;
+
+        const firstTurn = trace.turns[0];
+        if (!firstTurn) {
+            return html;
+        }
+
+        // The event prompt is the user message of the first round trip
+        const promptMessage = firstTurn.prompt.messages[firstTurn.prompt.messages.length - 1];
+        const latency = trace.turns.reduce((total, turn) => total + turn.latencyMs, 0);
+
+        const responses = trace.turns.map((turn, turnIndex) => {
+            const text = turn.response?.text
+                ? `<div style="white-space: pre-wrap;">"${escapeHTML(truncate(turn.response.text, 200))}"</div>`
+                : '';
+            const calls = (turn.response?.functionCalls || []).map((fc, index) => {
+                const result = turn.results?.[index]?.response;
+                const color = !result ? '#ccc' : result.success === false ? '#f88' : '#8f8';
+                const outcome = !result ? 'pending' : result.success === false ? truncate(result.error || result.status || 'failed', 50) : (result.status || 'ok');
+                return `<div style="color: ${color};">${escapeHTML(fc.name)}(${escapeHTML(truncate(JSON.stringify(fc.args || {}), 60))}) &rarr; ${escapeHTML(outcome)}</div>`;
+            }).join('');
+            return `<div style="color: #888;">Turn ${turnIndex + 1}${turn.provider ? ` (${escapeHTML(turn.provider)}, ${turn.latencyMs} ms)` : ''}</div>${text}${calls || (text ? '' : '<div style="color: #aaa;">No tool calls</div>')}`;
+        }).join('');
+
+        html += `
+            ${section(`Last Prompt <span style="color: #888; font-weight: normal;">${latency} ms total</span>`)}
+            <div style="white-space: pre-wrap; color: #ccc; max-height: 120px; overflow: hidden;">${escapeHTML(tail(promptMessage?.text || '', 600))}</div>
+            ${section('Responses')}
+            ${responses}
+        `;
+        return html;
+    }
+}
+
+function section(title) {
+    return `<div style="margin-top: 8px; color: #aaa; font-weight: bold; border-bottom: 1px solid #444;">${title}</div>`;
+}
+
+function truncate(text, length) {
+    const string = String(text ?? '');
+    return string.length > length ? `${string.substring(0, length - 3)}...` : string;
+}
+
+// The end of a prompt is the event message, which is what changes between calls
+function tail(text, length) {
+    const string = String(text ?? '');
+    return string.length > length ? `...${string.substring(string.length - length + 3)}` : string;
+}
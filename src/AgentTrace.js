@@ -0,0 +1,190 @@
+/**
+ * AgentTrace - Structured record of an agent's recent decisions
+ * One trace per handled event: the event, a snapshot of the context the agent
+ * saw, and for every model round trip the prompt, the raw response, the parsed
+ * tool calls, their results and how long each part took. The last `maxTraces`
+ * are kept per agent (oldest dropped first).
+ *
+ * Traces export as JSON (export / download) and can be fed back to
+ * NPCAgent.replayTrace, which re-runs the recorded responses through
+ * executeResponse without calling any model.
+ *
+ * Trace shape:
+ * {
+ *   id, npcId, eventType, eventData, priority, promptVersion,
+ *   startedAt, durationMs, status: 'running' | 'done' | 'cancelled' | 'error', error,
+ *   context: { ... },
+ *   turns: [{ provider, prompt: { systemInstruction, messages, tools }, response: { text, functionCalls, usage },
+ *             latencyMs, results: [{ id, name, response }], executionMs }]
+ * }
+ */
+
+export const TRACE_FORMAT_VERSION = 1;
+
+export class AgentTrace {
+    constructor(npcId, options = {}) {
+        this.npcId = npcId;
+        this.maxTraces = options.maxTraces || 20;
+        this.traces = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Start a trace for an event
+     */
+    begin(eventType, eventData, priority = 0) {
+        const trace = {
+            id: `${this.npcId}-${this.nextId++}`,
+            npcId: this.npcId,
+            eventType: eventType,
+            eventData: snapshot(eventData),
+            priority: priority,
+            promptVersion: null,
+            startedAt: Date.now(),
+            durationMs: null,
+            status: 'running',
+            error: null,
+            context: null,
+            turns: []
+        };
+
+        this.traces.push(trace);
+        if (this.traces.length > this.maxTraces) {
+            this.traces.shift();
+        }
+        return trace;
+    }
+
+    setContext(trace, context) {
+        if (!trace) return;
+        trace.context = snapshot(context);
+    }
+
+    /**
+     * Record one model round trip (the prompt as sent and the response as parsed)
+     */
+    recordTurn(trace, request, response, latencyMs) {
+        if (!trace) return null;
+
+        trace.promptVersion = request.context?.promptVersion ?? trace.promptVersion;
+        const turn = {
+            provider: response?.provider || null,
+            prompt: {
+                systemInstruction: request.systemInstruction,
+                messages: snapshot(request.messages),
+                tools: (request.tools || []).map(tool => tool.name)
+            },
+            response: response ? {
+                text: response.text || '',
+                functionCalls: snapshot(response.functionCalls || []),
+                usage: response.usage || null
+            } : null,
+            latencyMs: Math.round(latencyMs),
+            results: null,
+            executionMs: null
+        };
+        trace.turns.push(turn);
+        return turn;
+    }
+
+    recordResults(turn, results, executionMs) {
+        if (!turn) return;
+        turn.results = snapshot(results);
+        turn.executionMs = Math.round(executionMs);
+    }
+
+    end(trace, status = 'done', error = null) {
+        if (!trace) return;
+        trace.status = status;
+        trace.error = error ? error.message || String(error) : null;
+        trace.durationMs = Date.now() - trace.startedAt;
+    }
+
+    getTraces() {
+        return [...this.traces];
+    }
+
+    getLast() {
+        return this.traces[this.traces.length - 1] || null;
+    }
+
+    find(id) {
+        return this.traces.find(trace => trace.id === id) || null;
+    }
+
+    clear() {
+        this.traces = [];
+    }
+
+    /**
+     * All kept traces as a JSON string
+     */
+    export() {
+        return JSON.stringify({
+            version: TRACE_FORMAT_VERSION,
+            npcId: this.npcId,
+            exportedAt: new Date().toISOString(),
+            traces: this.traces
+        }, null, 2);
+    }
+
+    /**
+     * Traces from an export (one agent's, or several as an array)
+     */
+    static parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const exports = Array.isArray(data) ? data : [data];
+        return exports.flatMap(entry => entry.traces || (entry.turns ? [entry] : []));
+    }
+}
+
+/**
+ * Save text as a file in the browser
+ */
+export function downloadJSON(json, filename) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Nested data deeper than this is cut off in snapshots
+const MAX_SNAPSHOT_DEPTH = 8;
+
+/**
+ * Plain-data copy for a trace: drops functions and cycles, turns Three.js
+ * vectors into { x, y, z }, and summarizes class instances (e.g. the NPC that
+ * threw a rock) as { type, id } instead of walking the whole game
+ */
+function snapshot(value, depth = 0, path = new WeakSet()) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'object') return value;
+    if (value.isVector3) return { x: value.x, y: value.y, z: value.z };
+    if (path.has(value)) return '[circular]';
+    if (depth >= MAX_SNAPSHOT_DEPTH) return '[...]';
+
+    const prototype = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+        return { type: value.constructor?.name || 'object', id: value.id ?? null };
+    }
+
+    path.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+        copy = value.map(item => snapshot(item, depth + 1, path));
+    } else {
+        copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (typeof item !== 'function') {
+                copy[key] = snapshot(item, depth + 1, path);
+            }
+        });
+    }
+    path.delete(value);
+    return copy;
+}
@@ -0,0 +1,441 @@
+import * as THREE from 'three';
+import { requestBroker } from './RequestBroker.js';
+
+/**
+ * BehaviorTree - The NPC's own rule-based behavior while its agent can't decide
+ * A small priority tree, re-evaluated every half second:
+ *
+ *   react to a hit  - retaliate (courageous), flee (timid) or stand your ground
+ *   seek shelter    - while it rains, then stay put under it
+ *   light lamps     - at dusk and night, for orderly/dutiful NPCs
+ *   wander          - around the spawn point; range from curiosity, pauses from energy
+ *
+ * It only acts while the agent is busy waiting on its model, rate-limited or
+ * offline (no configured model, or the browser is offline) - never while the
+ * agent has a plan of its own running or queued. Behavior plans go on the
+ * NPC's action queue with priority BEHAVIOR_PLAN_PRIORITY, below every agent
+ * event, so any event interrupts them, and NPCAgent calls yieldToAgent() as
+ * soon as a decision arrives.
+ */
+
+// Below every AgentEventQueue priority (periodic is 0)
+export const BEHAVIOR_PLAN_PRIORITY = -1;
+
+const SUCCESS = 'success';
+const FAILURE = 'failure';
+const RUNNING = 'running';
+
+// A hit is reacted to for this long (seconds of game time)
+const HIT_MEMORY = 15;
+
+// The tree waits this long after getting control before it starts wandering,
+// so the NPC doesn't walk off between two turns of the agent's tool loop
+const WANDER_DELAY = 3;
+
+const WORLD_BOUNDS = 100;
+
+/**
+ * Tries children in order until one doesn't fail
+ */
+class Selector {
+    constructor(name, children) {
+        this.name = name;
+        this.children = children;
+    }
+
+    tick(tree) {
+        for (const child of this.children) {
+            const status = child.tick(tree);
+            if (status !== FAILURE) return status;
+        }
+        return FAILURE;
+    }
+}
+
+/**
+ * Runs children in order while they succeed
+ */
+class Sequence {
+    constructor(name, children) {
+        this.name = name;
+        this.children = children;
+    }
+
+    tick(tree) {
+        for (const child of this.children) {
+            const status = child.tick(tree);
+            if (status !== SUCCESS) return status;
+        }
+        return SUCCESS;
+    }
+}
+
+class Condition {
+    constructor(name, test) {
+        this.name = name;
+        this.test = test;
+    }
+
+    tick(tree) {
+        return this.test(tree) ? SUCCESS : FAILURE;
+    }
+}
+
+/**
+ * Leaf that puts a plan on the action queue and is 'running' until it finishes
+ * plan(tree) returns the steps, or null when there is nothing to do;
+ * onDone(tree, status, results) runs when the plan finishes.
+ */
+class Action {
+    constructor(name, plan, onDone = null) {
+        this.name = name;
+        this.plan = plan;
+        this.onDone = onDone;
+    }
+
+    tick(tree) {
+        return tree.runAction(this);
+    }
+}
+
+export class BehaviorTree {
+    /**
+     * @param {NPC} npc
+     * @param {Object} options - { enabled, tickInterval }
+     */
+    constructor(npc, options = {}) {
+        this.npc = npc;
+        this.spawnPosition = npc.position.clone();
+        this.elapsed = 0;
+        this.sinceTick = 0;
+        this.active = null;          // { node, status } of the behavior plan last started
+        this.controlSince = null;    // elapsed time when the tree got control
+        this.controlReason = null;
+        this.lastHit = null;         // { thrower, time, handled }
+        this.sheltered = false;
+        this.root = this.build();
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        this.enabled = options.enabled ?? this.enabled ?? true;
+        this.tickInterval = options.tickInterval ?? this.tickInterval ?? 0.5;
+        if (!this.enabled) {
+            this.yieldToAgent('behavior tree disabled');
+        }
+    }
+
+    /**
+     * Personality trait (0-1), from traits or the legacy top-level fields
+     */
+    trait(name, fallback = 0.5) {
+        const personality = this.npc.personality || {};
+        return personality.traits?.[name] ?? personality[name] ?? fallback;
+    }
+
+    build() {
+        return new Selector('root', [
+            new Sequence('react to hit', [
+                new Condition('recently hit', tree => tree.isRecentlyHit()),
+                new Selector('hit response', [
+                    new Sequence('retaliate', [
+                        new Condition('brave enough', tree => tree.shouldRetaliate()),
+                        new Selector('throw back', [
+                            new Sequence('throw held rock', [
+                                new Condition('has rock', tree => tree.npc.getRockCount() > 0),
+                                new Action('retaliate', tree => tree.planRetaliate(), tree => tree.handleHit())
+                            ]),
+                            new Action('grab rock', tree => tree.planCollectRock())
+                        ])
+                    ]),
+                    new Sequence('flee', [
+                        new Condition('timid', tree => tree.trait('courage', tree.trait('strength', 0.5)) < 0.4),
+                        new Action('flee', tree => tree.planFlee(), tree => tree.handleHit())
+                    ]),
+                    new Action('stand ground', tree => tree.planStandGround(), tree => tree.handleHit())
+                ])
+            ]),
+            new Sequence('rain', [
+                new Condition('raining', tree => tree.getEnvironment().isRaining),
+                new Selector('shelter', [
+                    new Sequence('seek shelter', [
+                        new Condition('not sheltered', tree => !tree.sheltered),
+                        new Action('seek shelter', tree => tree.planSeekShelter(), (tree, status) => {
+                            tree.sheltered = status === SUCCESS;
+                        })
+                    ]),
+                    new Action('wait out rain', tree => tree.planPause(5, 'wait out the rain'))
+                ])
+            ]),
+            new Sequence('lamps', [
+                new Condition('dark', tree => tree.getEnvironment().isDusk || tree.getEnvironment().isNight),
+                new Condition('tends lamps', tree => Math.max(tree.trait('order', 0), tree.trait('duty', 0), tree.trait('friendliness', 0.5)) >= 0.6),
+                new Action('light lamp', tree => tree.planLightLamp())
+            ]),
+            new Sequence('wander', [
+                new Condition('settled', tree => tree.elapsed - tree.controlSince >= WANDER_DELAY),
+                new Action('wander', tree => tree.planWander())
+            ])
+        ]);
+    }
+
+    /**
+     * Advance the tree (called from NPC.update)
+     */
+    update(delta) {
+        this.elapsed += delta;
+        if (!this.enabled) return;
+
+        if (this.sheltered && !this.getEnvironment().isRaining) {
+            this.sheltered = false;
+        }
+
+        const reason = this.getControlReason();
+        if (reason !== this.controlReason) {
+            if (reason) {
+                console.log(`[NPC ${this.npc.id}] Behavior tree has control (${reason})`);
+            }
+            this.controlReason = reason;
+            this.controlSince = reason ? this.elapsed : null;
+        }
+        if (!reason) return;
+
+        this.sinceTick += delta;
+        if (this.sinceTick < this.tickInterval) return;
+        this.sinceTick = 0;
+
+        // The agent's own plans always come first
+        if (this.npc.behavior.actionQueue.hasPlanAtOrAbove(0)) return;
+
+        this.root.tick(this);
+    }
+
+    /**
+     * Why the tree may act right now, or null while the agent is in control
+     */
+    getControlReason() {
+        const agent = this.npc.agent;
+        if (!agent) return 'no agent';
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return 'offline';
+        if (!agent.provider.isConfigured()) return 'offline';
+        if (agent.isProcessing) return 'agent busy';
+        if (requestBroker.isRateLimited()) return 'rate limited';
+        return null;
+    }
+
+    runAction(node) {
+        if (this.active?.node === node) {
+            if (this.active.status === RUNNING) return RUNNING;
+            // Report the finished plan once, then it may start again
+            const status = this.active.status;
+            this.active = null;
+            return status;
+        }
+
+        const steps = node.plan(this);
+        if (!steps || steps.length === 0) return FAILURE;
+
+        // A more important behavior takes over from the running one
+        if (this.active?.status === RUNNING) {
+            this.npc.behavior.actionQueue.interrupt(0, `behavior: ${node.name}`);
+        }
+
+        const entry = { node, status: RUNNING };
+        this.active = entry;
+        this.npc.behavior.actionQueue.enqueue(steps, {
+            label: `behavior: ${node.name}`,
+            priority: BEHAVIOR_PLAN_PRIORITY
+        }).then(results => {
+            // Cut short by an event or another behavior: start over on the next tick
+            if (results.some(result => result?.status === 'interrupted')) {
+                if (this.active === entry) this.active = null;
+                return;
+            }
+            entry.status = results.every(result => result?.success !== false) ? SUCCESS : FAILURE;
+            entry.node.onDone?.(this, entry.status, results);
+        });
+        return RUNNING;
+    }
+
+    /**
+     * Stop any behavior plan; the agent's decision takes over
+     */
+    yieldToAgent(reason = 'agent decision') {
+        if (this.active?.status === RUNNING) {
+            this.npc.behavior.actionQueue.interrupt(0, reason);
+        }
+        this.active = null;
+    }
+
+    /**
+     * Called from NPC.onHit
+     */
+    notifyHit(thrower) {
+        this.lastHit = { thrower, time: this.elapsed, handled: false };
+    }
+
+    /**
+     * Name of the running behavior and why the tree has control, for the inspector
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            behavior: this.active?.status === RUNNING ? this.active.node.name : null,
+            reason: this.controlReason
+        };
+    }
+
+    // Conditions
+
+    getEnvironment() {
+        return this.npc.environmentManager?.getState() || {};
+    }
+
+    isRecentlyHit() {
+        return !!this.lastHit && !this.lastHit.handled && this.elapsed - this.lastHit.time < HIT_MEMORY;
+    }
+
+    handleHit() {
+        if (this.lastHit) this.lastHit.handled = true;
+    }
+
+    isPlayer(thrower) {
+        return thrower?.id === 'player' || thrower?.type === 'player';
+    }
+
+    shouldRetaliate() {
+        const courage = this.trait('courage', this.trait('strength', 0.5));
+        if (courage < 0.7 || !this.npc.agent) return false;
+        // Friends get the benefit of the doubt
+        const thrower = this.lastHit?.thrower;
+        if (this.isPlayer(thrower) && (this.npc.agent.memory?.getPlayerReputation() ?? 0) > 20) return false;
+        const throwerNPC = !this.isPlayer(thrower) && this.npc.game?.npcs.find(npc => npc.id === thrower?.id);
+        if (throwerNPC && (this.npc.game.relationships?.getRelationship(this.npc, throwerNPC).affinity ?? 0) >= 0.5) return false;
+        return this.trait('friendliness', 0.5) < 0.9;
+    }
+
+    getThrowerPosition() {
+        return this.npc.perception.locate(this.lastHit?.thrower);
+    }
+
+    // Plans (steps for the action queue, or null if there is nothing to do)
+
+    walkStep(label, x, z) {
+        const target = new THREE.Vector3(
+            THREE.MathUtils.clamp(x, -WORLD_BOUNDS, WORLD_BOUNDS),
+            0,
+            THREE.MathUtils.clamp(z, -WORLD_BOUNDS, WORLD_BOUNDS)
+        );
+        return {
+            type: 'walk',
+            label: label,
+            run: () => this.npc.setTargetPosition(target).then(
+                () => ({ success: true, status: 'arrived' }),
+                error => ({ success: false, error: `Could not get there (${error.reason})` })
+            )
+        };
+    }
+
+    expressionStep(expression) {
+        return {
+            type: 'act',
+            label: `look ${expression.toLowerCase()}`,
+            run: () => {
+                this.npc.setExpression(expression);
+                return { success: true };
+            }
+        };
+    }
+
+    planRetaliate() {
+        const thrower = this.lastHit?.thrower;
+        const targetId = this.isPlayer(thrower) ? 'player' : String(thrower?.id ?? '');
+        if (!targetId) return null;
+        return [
+            this.expressionStep('Angry'),
+            { type: 'act', label: `throw rock at ${targetId}`, run: () => this.npc.agent.throwRock(targetId) }
+        ];
+    }
+
+    planCollectRock() {
+        if (!this.npc.agent || (this.npc.game?.getAvailableRocks() || []).length === 0) return null;
+        return [
+            this.expressionStep('Angry'),
+            { type: 'walk', label: 'grab a rock', run: () => this.npc.agent.collectNearestRock() }
+        ];
+    }
+
+    planFlee() {
+        const from = this.getThrowerPosition();
+        if (!from) return null;
+        const away = new THREE.Vector3().subVectors(this.npc.position, from).setY(0);
+        if (away.length() < 0.1) away.set(1, 0, 0);
+        away.normalize().multiplyScalar(6 + 6 * this.trait('energy', 0.5));
+        return [
+            this.expressionStep('Surprise'),
+            this.walkStep('flee', this.npc.position.x + away.x, this.npc.position.z + away.z)
+        ];
+    }
+
+    planStandGround() {
+        return [
+            this.expressionStep('Frown'),
+            { type: 'wait', label: 'stand ground', run: () => this.npc.behavior.actionQueue.wait(2) }
+        ];
+    }
+
+    planSeekShelter() {
+        if (!this.npc.agent) return null;
+        return [
+            this.expressionStep('Frown'),
+            { type: 'walk', label: 'seek shelter', run: () => this.npc.agent.hideFromRain() }
+        ];
+    }
+
+    planLightLamp() {
+        const lamps = this.npc.game?.lamps || [];
+        let nearest = null;
+        let minDist = Infinity;
+        lamps.forEach(lamp => {
+            const dist = this.npc.position.distanceTo(lamp.position);
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = lamp;
+            }
+        });
+        if (!nearest || nearest.getState().isOn || minDist > 30 || !this.npc.agent) return null;
+
+        const lamp = nearest;
+        return [
+            { type: 'walk', label: 'walk to lamp', run: () => this.npc.agent.approach(lamp.position).then(
+                () => ({ success: true, status: 'arrived' }),
+                error => ({ success: false, error: `Could not reach the lamp (${error.reason})` })
+            ) },
+            {
+                type: 'act',
+                label: 'light lamp',
+                // turnOn, not toggle: another NPC may have lit it on the way
+                run: () => {
+                    lamp.turnOn();
+                    return { success: true, status: 'lit' };
+                }
+            }
+        ];
+    }
+
+    planWander() {
+        const radius = 3 + 9 * this.trait('curiosity', 0.5);
+        const angle = Math.random() * Math.PI * 2;
+        const distance = radius * (0.3 + Math.random() * 0.7);
+        // Energetic NPCs pause less between strolls (2-10 s)
+        const pause = 2 + 8 * (1 - this.trait('energy', 0.5)) * (0.75 + Math.random() * 0.5);
+        return [
+            this.walkStep('wander', this.spawnPosition.x + Math.cos(angle) * distance, this.spawnPosition.z + Math.sin(angle) * distance),
+            this.planPause(pause, 'look around')[0]
+        ];
+    }
+
+    planPause(seconds, label) {
+        return [{ type: 'wait', label: label, run: () => this.npc.behavior.actionQueue.wait(seconds) }];
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * ConversationManager - Lets NPCs hear and answer each other
+ * Whenever an NPC agent speaks, the line is heard by every other NPC within
+ * hearing range and goes into the memory of everyone in the conversation,
+ * speaker included. One listener at a time is asked to answer with an
+ * 'npc_speech' event:
+ *
+ * - the NPC named in the line, if any;
+ * - otherwise whoever spoke before (so two NPCs take turns);
+ * - otherwise the nearest listener.
+ *
+ * Replies to the player (player_query) or to a hit only invite an answer when
+ * they name another NPC, so villagers don't chime in on every exchange with
+ * the player. A conversation ends after maxTurns lines; after that its
+ * participants are heard but not prompted again until it has been quiet for
+ * `cooldown` seconds. A conversation quiet for `silenceTimeout` seconds is over.
+ * Both are game time, so they stand still while the game is paused.
+ *
+ * Options (setup data `conversations`):
+ * { enabled, hearingRange, maxTurns, silenceTimeout, cooldown }
+ */
+
+export const NPC_SPEECH_EVENT = 'npc_speech';
+
+// Speech given in reply to these events doesn't start NPC chatter on its own
+const PLAYER_FACING_EVENTS = ['player_query', 'hit'];
+
+// Lines of the conversation shown to the NPC whose turn it is
+const TRANSCRIPT_LINES = 6;
+
+export class ConversationManager {
+    constructor(game, options = {}) {
+        this.game = game;
+        this.conversations = new Map(); // id -> { id, participants, turns, lastTurnAt, closed, awaiting }
+        this.sequence = 0;
+        this.elapsed = 0; // game seconds, see update()
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        this.enabled = options.enabled ?? this.enabled ?? true;
+        this.hearingRange = options.hearingRange ?? this.hearingRange ?? 12;
+        this.maxTurns = options.maxTurns ?? this.maxTurns ?? 6;
+        this.silenceTimeout = options.silenceTimeout ?? this.silenceTimeout ?? 20; // seconds
+        this.cooldown = options.cooldown ?? this.cooldown ?? 45;                   // seconds
+    }
+
+    /**
+     * Advance game time and end quiet conversations (called from the game loop)
+     */
+    update(delta) {
+        this.elapsed += delta;
+        this.prune();
+    }
+
+    /**
+     * Called by NPCAgent after its NPC said something
+     * @param {NPC} speaker
+     * @param {string} text - What was spoken (after the speech filter)
+     * @param {string} eventType - The event the speaker was handling
+     * @returns {Object|null} - The conversation the line went into
+     */
+    onSpeech(speaker, text, eventType = null) {
+        if (!this.enabled || !text?.trim()) return null;
+
+        const now = this.elapsed;
+        this.prune(now);
+
+        const listeners = this.getListeners(speaker);
+        let conversation = this.findConversation(speaker, listeners);
+        if (!conversation) {
+            if (listeners.length === 0) return null;
+            conversation = {
+                id: `conv_${++this.sequence}`,
+                participants: new Set(),
+                turns: [],
+                lastTurnAt: now,
+                closed: false,
+                awaiting: null
+            };
+            this.conversations.set(conversation.id, conversation);
+            console.log(`[Conversation] ${conversation.id} started by ${speaker.getDisplayName()}`);
+        }
+
+        const wasAwaited = conversation.awaiting === speaker.id;
+        conversation.participants.add(speaker.id);
+        listeners.forEach(listener => conversation.participants.add(listener.id));
+        conversation.turns.push({ speakerId: speaker.id, speaker: speaker.getDisplayName(), text: text, time: now });
+        conversation.lastTurnAt = now;
+        conversation.awaiting = null;
+
+        // Everyone who was there remembers the line
+        [speaker, ...listeners].forEach(npc => {
+            npc.agent?.memory.recordNPCSpeech(conversation.id, speaker.id, speaker.getDisplayName(), text, npc === speaker);
+        });
+        // ...picks up what the speaker knows about the player (see SocialKnowledge)
+        this.game.socialKnowledge?.share(speaker, listeners);
+        // ...and gets to know the speaker a little better (see RelationshipGraph)
+        this.game.relationships?.recordConversation(speaker, listeners);
+
+        if (conversation.closed) return conversation;
+        if (conversation.turns.length >= this.maxTurns) {
+            conversation.closed = true;
+            console.log(`[Conversation] ${conversation.id} reached ${this.maxTurns} lines, ending it`);
+            return conversation;
+        }
+
+        const mentioned = this.findMentioned(listeners, text);
+        if (!wasAwaited && !mentioned && PLAYER_FACING_EVENTS.includes(eventType)) {
+            return conversation;
+        }
+
+        const next = mentioned || this.chooseNextSpeaker(conversation, speaker, listeners);
+        if (!next) return conversation;
+
+        conversation.awaiting = next.id;
+        console.log(`[Conversation] ${conversation.id}: ${next.getDisplayName()}'s turn (${conversation.turns.length}/${this.maxTurns})`);
+        next.agent.processEvent(NPC_SPEECH_EVENT, {
+            speaker: { id: speaker.id, name: speaker.getDisplayName() },
+            text: text,
+            conversationId: conversation.id,
+            lines: conversation.turns.slice(-TRANSCRIPT_LINES).map(turn => ({ speakerId: turn.speakerId, speaker: turn.speaker, text: turn.text })),
+            turnsLeft: this.maxTurns - conversation.turns.length
+        });
+        return conversation;
+    }
+
+    /**
+     * Other NPCs with an agent within hearing range, nearest first
+     */
+    getListeners(speaker) {
+        return this.game.npcs
+            .filter(npc => npc !== speaker && npc.agent && npc.position.distanceTo(speaker.position) <= this.hearingRange)
+            .sort((a, b) => a.position.distanceTo(speaker.position) - b.position.distanceTo(speaker.position));
+    }
+
+    /**
+     * The speaker's ongoing conversation, or one a listener is in
+     */
+    findConversation(speaker, listeners) {
+        const active = [...this.conversations.values()].reverse();
+        return active.find(conversation => conversation.participants.has(speaker.id))
+            || active.find(conversation => listeners.some(listener => conversation.participants.has(listener.id)))
+            || null;
+    }
+
+    findMentioned(listeners, text) {
+        const lower = text.toLowerCase();
+        return listeners.find(listener => [listener.personality?.name, listener.personality?.displayName]
+            .filter(Boolean)
+            .some(name => new RegExp(`\\b${String(name).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower))) || null;
+    }
+
+    /**
+     * Whoever spoke before the speaker, if still in earshot, else the nearest listener
+     */
+    chooseNextSpeaker(conversation, speaker, listeners) {
+        const previous = [...conversation.turns].reverse().find(turn => turn.speakerId !== speaker.id);
+        return listeners.find(listener => listener.id === previous?.speakerId) || listeners[0] || null;
+    }
+
+    /**
+     * Forget conversations that have gone quiet (closed ones after their cooldown)
+     */
+    prune(now = this.elapsed) {
+        this.conversations.forEach((conversation, id) => {
+            const limit = conversation.closed ? this.cooldown : this.silenceTimeout;
+            if (now - conversation.lastTurnAt > limit) {
+                this.conversations.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Event-message note on who is within earshot, e.g. for idle checks
+     * Only NPCs it can see (looking around) are mentioned.
+     */
+    describeNearby(npc) {
+        if (!this.enabled) return '';
+        const listeners = this.getListeners(npc)
+            .filter(listener => !npc.perception || npc.perception.canSee(listener.position, { lookAround: true }).visible);
+        if (listeners.length === 0) return '';
+        const names = listeners.map(listener => `${listener.getDisplayName()} (${listener.position.distanceTo(npc.position).toFixed(1)} units away)`);
+        return ` Within earshot: ${names.join(', ')} - say their name with speak() to talk to them.`;
+    }
+}
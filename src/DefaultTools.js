@@ -0,0 +1,177 @@
+import { toolRegistry } from './ToolRegistry.js';
+
+/**
+ * DefaultTools - The built-in NPC actions
+ * Handlers delegate to the tool implementations on NPCAgent. Arguments reach
+ * them already validated against `parameters` (see ToolValidation.js).
+ */
+
+// Half the ground plane's size; move targets are clamped to it
+export const WORLD_BOUNDS = { min: -100, max: 100 };
+
+export const DEFAULT_TOOLS = [
+    {
+        name: 'move_to',
+        stepType: 'walk',
+        description: 'Move to a specific position in the world. The NPC will navigate to the given coordinates.',
+        parameters: {
+            type: 'object',
+            properties: {
+                x: { type: 'number', description: 'X coordinate (required)', minimum: WORLD_BOUNDS.min, maximum: WORLD_BOUNDS.max },
+                y: { type: 'number', description: 'Y coordinate (optional, defaults to 0 for ground level)' },
+                z: { type: 'number', description: 'Z coordinate (required)', minimum: WORLD_BOUNDS.min, maximum: WORLD_BOUNDS.max }
+            },
+            required: ['x', 'z']
+        },
+        guidance: 'Use move_to(x, z) to move to specific coordinates (x and z are required, y defaults to 0)',
+        eventHints: {
+            hit: 'Use move_to(x, z) to get away.',
+            witnessed_event: 'Use move_to(x, z) to go to the victim, or to keep your distance.'
+        },
+        handler: (args, agent) => agent.moveTo(args.x, args.y ?? 0, args.z)
+    },
+    {
+        name: 'speak',
+        stepType: 'speak',
+        description: 'Speak a message that will be displayed as text above the NPC and spoken aloud using text-to-speech. Use ONLY plain conversational text - no reasoning, explanations, function call syntax, RPG formatting, asterisks, or narrative descriptions. Just the actual words the character would say.',
+        parameters: {
+            type: 'object',
+            properties: {
+                message: { type: 'string', description: 'The message to speak (ONLY plain text, no reasoning or function syntax)' }
+            },
+            required: ['message']
+        },
+        guidance: 'Use speak(message) to communicate with others - your speech will be displayed and spoken aloud',
+        eventHints: {
+            player_query: 'Use speak(message) to respond verbally (your speech will be displayed and spoken aloud).',
+            hit: 'Use speak(message) to respond.',
+            npc_speech: 'Use speak(message) to answer them (they hear you if they are close).',
+            witnessed_event: 'Use speak(message) to react to what you saw - to the player, the victim or the others.'
+        },
+        handler: (args, agent) => agent.speak(args.message)
+    },
+    {
+        name: 'collect_nearest_rock',
+        stepType: 'act',
+        description: 'Find the nearest collectable rock, move to it, and collect it automatically. This function handles both movement and collection in one action.',
+        guidance: 'Use collect_nearest_rock() to find the nearest rock, move to it, and collect it automatically (no parameters needed)',
+        handler: (args, agent) => agent.collectNearestRock()
+    },
+    {
+        name: 'interact_with_nearest_lamp',
+        stepType: 'act',
+        description: 'Find the nearest lamp, move to it, and toggle it on/off automatically. This function handles both movement and interaction in one action.',
+        guidance: 'Use interact_with_nearest_lamp() to find the nearest lamp, move to it, and toggle it automatically (no parameters needed)',
+        eventHints: {
+            environment_change: 'If it\'s getting dark, use interact_with_nearest_lamp() to find the nearest lamp, move to it, and toggle it automatically.'
+        },
+        isAvailable: (agent) => (agent.game.lamps || []).length > 0,
+        handler: (args, agent) => agent.interactWithNearestLamp()
+    },
+    {
+        name: 'throw_rock',
+        stepType: 'act',
+        description: 'Aim and throw a rock at a target (player or NPC). The target can be "player" for the player, or an NPC ID number (e.g., "1", "2"). The function will automatically aim at the target and throw the projectile.',
+        parameters: {
+            type: 'object',
+            properties: {
+                target_id: { type: 'string', description: 'Target ID: "player" for the player, or an NPC ID number (e.g., "1", "2")' }
+            },
+            required: ['target_id']
+        },
+        guidance: 'Use throw_rock(target_id) to aim and throw a rock at a target - use "player" for the player, or an NPC ID like "1", "2" (target_id is required)',
+        eventHints: {
+            hit: 'Use throw_rock(target_id) to retaliate (e.g., throw_rock("player") to hit the player, or throw_rock("1") to hit NPC 1).'
+        },
+        validate: (args, agent) => {
+            const targetId = args.target_id.trim().toLowerCase();
+            if (targetId === 'player') return [];
+            if (!/^\d+$/.test(targetId)) {
+                return [{ field: 'target_id', message: `"target_id" must be "player" or an NPC ID number, got "${args.target_id}"` }];
+            }
+            if (!agent.game.npcs.some(npc => npc.id === parseInt(targetId))) {
+                return [{ field: 'target_id', message: `There is no NPC with ID ${targetId}` }];
+            }
+            return [];
+        },
+        handler: (args, agent) => agent.throwRock(args.target_id.trim())
+    },
+    {
+        name: 'get_player_position',
+        stepType: 'act',
+        description: 'Look around for the player. If you can see them, returns their (x, y, z) coordinates and distance from you as a tool result, so you can then move_to() or throw_rock() based on it; if not, where you last saw them. Nothing is said aloud.',
+        guidance: 'Use get_player_position() to look around for the player (no parameters needed) - if you can see them, the result has their coordinates, so you can follow up with move_to() or throw_rock()',
+        handler: (args, agent) => agent.getPlayerPosition()
+    },
+    {
+        name: 'hide_from_rain',
+        stepType: 'walk',
+        description: 'Find the nearest shelter from rain (tree or hut) and move there. The NPC will automatically navigate to the closest available shelter.',
+        guidance: 'Use hide_from_rain() to find the nearest shelter (tree or hut) and move there when it\'s raining (no parameters needed)',
+        eventHints: {
+            environment_change: 'If it\'s raining, use hide_from_rain().'
+        },
+        handler: (args, agent) => agent.hideFromRain()
+    },
+    {
+        name: 'set_expression',
+        stepType: 'act',
+        description: 'Change the NPC\'s facial expression to match their emotional state. Available expressions: "Neutral", "Smile" (happy/friendly), "Frown" (sad/disappointed), "Angry" (hostile/upset), "Surprise" (shocked/surprised). Your face already follows your mood; use this to show an emotion on purpose (it shifts your mood towards it, and fades as your mood settles).',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: {
+                    type: 'string',
+                    description: 'Expression name: "Neutral", "Smile", "Frown", "Angry", or "Surprise"',
+                    enum: ['Neutral', 'Smile', 'Frown', 'Angry', 'Surprise']
+                }
+            },
+            required: ['expression']
+        },
+        eventHints: {
+            player_query: 'Use set_expression(expression) to show your emotional reaction based on the player\'s message and your relationship with them (e.g., "Smile" for friendly interactions, "Frown" or "Angry" for hostile ones, "Surprise" for unexpected messages).',
+            hit: 'Use set_expression(expression) to show your emotional reaction (e.g., "Angry" if hostile, "Surprise" if unexpected).'
+        },
+        handler: (args, agent) => agent.setExpression(args.expression)
+    },
+    {
+        name: 'pursue_player',
+        stepType: 'walk',
+        description: 'Chase the player, following them as they move, until you catch up with them, lose sight of them or the time runs out. You move faster than usual while chasing.',
+        parameters: {
+            type: 'object',
+            properties: {
+                seconds: { type: 'number', description: 'How long to keep chasing, in seconds (5 to 60, default 20)', minimum: 5, maximum: 60 }
+            }
+        },
+        guidance: 'Use pursue_player(seconds) to chase the player, e.g. to stop them or make them answer for what they did',
+        eventHints: {
+            witnessed_event: 'Use pursue_player() to go after the player (e.g. if it is your duty to stop them).'
+        },
+        handler: (args, agent) => agent.pursuePlayer(args.seconds ?? 20)
+    },
+    {
+        name: 'wait',
+        stepType: 'wait',
+        description: 'Pause for a few seconds before your next action, e.g. to give someone time to answer or to let the player come closer.',
+        parameters: {
+            type: 'object',
+            properties: {
+                seconds: { type: 'number', description: 'How long to wait, in seconds (0.5 to 30)', minimum: 0.5, maximum: 30 }
+            },
+            required: ['seconds']
+        },
+        guidance: 'Use wait(seconds) between other tools to pause before the next action. Your tool calls run in order, one after another',
+        handler: (args, agent) => agent.wait(args.seconds)
+    }
+];
+
+/**
+ * Register the built-in tools on a registry (the shared one by default)
+ */
+export function registerDefaultTools(registry = toolRegistry) {
+    DEFAULT_TOOLS.forEach(tool => registry.register(tool));
+    return registry;
+}
+
+registerDefaultTools();
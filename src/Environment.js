@@ -5,6 +5,7 @@ export class Environment {
     constructor(scene) {
         this.scene = scene;
         this.rocks = []; // Store rock instances
+        this.occluders = []; // Footprints that block NPC sight (see Perception)
         this.createHut();
         this.createTrees();
         this.createBushes();
@@ -18,6 +19,13 @@ export class Environment {
         return this.rocks.filter(rock => !rock.isCollected);
     }
     
+    /**
+     * What blocks line of sight, as circles on the ground: { type, x, z, radius }
+     */
+    getOccluders() {
+        return this.occluders;
+    }
+    
     createHut() {
         const merchantGroup = new THREE.Group();
         
@@ -112,6 +120,8 @@ export class Environment {
         
         merchantGroup.position.set(10, 0, 10);
         this.scene.add(merchantGroup);
+        // Stall, crates and roof together hide whatever is behind them
+        this.occluders.push({ type: 'hut', x: 10, z: 10, radius: 2.5 });
     }
     
     createTrees() {
@@ -163,6 +173,7 @@ export class Environment {
         
         treeGroup.position.set(x, 0, z);
         this.scene.add(treeGroup);
+        this.occluders.push({ type: 'tree', x: x, z: z, radius: 1 });
     }
     
     createBushes() {
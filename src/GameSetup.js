@@ -1,3 +1,14 @@
+import { PROMPT_TEMPLATES_VERSION, PROMPT_SLOTS, validatePromptOverrides } from './PromptTemplates.js';
+import { SENTIMENT_MODES } from './SentimentAnalyzer.js';
+import { loadLLMSettings, saveLLMSettings, checkLLMProxy } from './LLMSettings.js';
+
+// How each sentiment mode is described in the setup screen
+const SENTIMENT_MODE_LABELS = {
+    auto: 'Auto (remote model when configured, otherwise on-device)',
+    remote: 'Remote model (on-device only if it fails)',
+    local: 'On-device only (no network)'
+};
+
 /**
  * GameSetup - Pre-game configuration interface
  * Handles player info and NPC profile creation
@@ -130,6 +141,25 @@ export class GameSetup {
                                 transition: border-color 0.3s;
                             " onfocus="this.style.borderColor='#667eea'" onblur="this.style.borderColor='#ddd'"></textarea>
                         </div>
+                        
+                        <!-- Sentiment Analysis -->
+                        <div style="margin-top: 18px;">
+                            <label style="display: block; margin-bottom: 8px; font-weight: 600; color: #444; font-size: 14px;">Sentiment Analysis:</label>
+                            <select id="sentiment-mode" style="
+                                width: 100%;
+                                padding: 12px;
+                                border: 2px solid #ddd;
+                                border-radius: 8px;
+                                font-size: 15px;
+                                box-sizing: border-box;
+                                background: white;
+                                color: #333;
+                                cursor: pointer;
+                                transition: border-color 0.3s;
+                            " onfocus="this.style.borderColor='#667eea'" onblur="this.style.borderColor='#ddd'">
+                                ${SENTIMENT_MODES.map(mode => `<option value="${mode}" ${mode === this.loadSettings().sentimentMode ? 'selected' : ''}>${SENTIMENT_MODE_LABELS[mode]}</option>`).join('')}
+                            </select>
+                        </div>
                     </div>
                     
                     <!-- NPC Configuration Section -->
@@ -176,6 +206,18 @@ export class GameSetup {
                             transition: background-color 0.3s, transform 0.1s;
                             box-shadow: 0 4px 6px rgba(33, 150, 243, 0.3);
                         " onmouseover="this.style.backgroundColor='#0b7dda'; this.style.transform='translateY(-2px)'" onmouseout="this.style.backgroundColor='#2196F3'; this.style.transform='translateY(0)'">Load Saved Profiles</button>
+                        <button id="llm-settings-btn" style="
+                            padding: 14px 35px;
+                            background: #757575;
+                            color: white;
+                            border: none;
+                            border-radius: 8px;
+                            cursor: pointer;
+                            font-size: 17px;
+                            font-weight: 600;
+                            transition: background-color 0.3s, transform 0.1s;
+                            box-shadow: 0 4px 6px rgba(117, 117, 117, 0.3);
+                        " onmouseover="this.style.backgroundColor='#616161'; this.style.transform='translateY(-2px)'" onmouseout="this.style.backgroundColor='#757575'; this.style.transform='translateY(0)'">LLM Settings</button>
                     </div>
                 </div>
             </div>
@@ -243,6 +285,100 @@ export class GameSetup {
                 this.loadSavedProfiles();
             });
         }
+        
+        const llmSettingsBtn = document.getElementById('llm-settings-btn');
+        if (llmSettingsBtn) {
+            llmSettingsBtn.addEventListener('click', () => {
+                this.showLLMSettings();
+            });
+        }
+    }
+    
+    /**
+     * LLM Settings dialog: use the dev-server proxy's keys or enter your own
+     * (kept in this browser only, see LLMSettings.js)
+     */
+    showLLMSettings() {
+        if (document.getElementById('llm-settings-dialog')) return;
+        
+        const settings = loadLLMSettings();
+        const inputStyle = 'width: 100%; padding: 10px; border: 2px solid #ddd; border-radius: 8px; font-size: 14px; box-sizing: border-box; background: white; color: #333;';
+        const labelStyle = 'display: block; margin: 14px 0 6px; font-weight: 600; color: #444; font-size: 14px;';
+        const buttonStyle = 'padding: 10px 24px; color: white; border: none; border-radius: 8px; cursor: pointer; font-size: 15px; font-weight: 600;';
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'llm-settings-dialog';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            background: rgba(0, 0, 0, 0.6);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10001;
+        `;
+        overlay.innerHTML = `
+            <div style="background: white; border-radius: 12px; padding: 25px 30px; width: 460px; max-width: 90vw; box-shadow: 0 10px 40px rgba(0,0,0,0.3); font-family: Arial, sans-serif;">
+                <h2 style="margin: 0 0 10px; color: #333; font-size: 20px;">LLM Settings</h2>
+                <div id="llm-proxy-status" style="color: #666; font-size: 13px;">Checking local proxy...</div>
+                
+                <label style="${labelStyle}">Connection:</label>
+                <select id="llm-connection" style="${inputStyle} cursor: pointer;">
+                    <option value="proxy" ${settings.connection === 'proxy' ? 'selected' : ''}>Local proxy (keys stay on the dev server)</option>
+                    <option value="own-keys" ${settings.connection === 'own-keys' ? 'selected' : ''}>My own API keys</option>
+                </select>
+                
+                <div id="llm-own-keys" style="display: ${settings.connection === 'own-keys' ? 'block' : 'none'};">
+                    <label style="${labelStyle}">Gemini API Key (NPC reasoning):</label>
+                    <input type="password" id="llm-gemini-key" autocomplete="off" style="${inputStyle}">
+                    <label style="${labelStyle}">Groq API Key (sentiment analysis):</label>
+                    <input type="password" id="llm-groq-key" autocomplete="off" style="${inputStyle}">
+                    <div style="margin-top: 8px; color: #888; font-size: 12px;">Stored in this browser's localStorage and sent only to Google and Groq. Leave a key empty to use the offline fallback for it.</div>
+                </div>
+                
+                <div style="margin-top: 22px; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="llm-settings-close" style="${buttonStyle} background: #757575;">Close</button>
+                    <button id="llm-settings-save" style="${buttonStyle} background: #4CAF50;">Save</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        
+        // Set as values rather than in the markup so keys aren't parsed as HTML
+        document.getElementById('llm-gemini-key').value = settings.geminiKey;
+        document.getElementById('llm-groq-key').value = settings.groqKey;
+        
+        const connectionSelect = document.getElementById('llm-connection');
+        connectionSelect.addEventListener('change', () => {
+            document.getElementById('llm-own-keys').style.display = connectionSelect.value === 'own-keys' ? 'block' : 'none';
+        });
+        
+        document.getElementById('llm-settings-close').addEventListener('click', () => overlay.remove());
+        document.getElementById('llm-settings-save').addEventListener('click', () => {
+            saveLLMSettings({
+                connection: connectionSelect.value,
+                geminiKey: document.getElementById('llm-gemini-key').value,
+                groqKey: document.getElementById('llm-groq-key').value
+            });
+            console.log(`[GameSetup] LLM settings saved (connection: ${connectionSelect.value})`);
+            overlay.remove();
+        });
+        
+        checkLLMProxy().then(status => {
+            const statusLine = document.getElementById('llm-proxy-status');
+            if (!statusLine) return;
+            if (!status) {
+                statusLine.textContent = 'No local proxy found (run "npm run dev" with keys in .env, or use your own keys).';
+                return;
+            }
+            const services = Object.entries(status.services)
+                .map(([service, hasKey]) => `${service}: ${hasKey ? 'key set' : 'no key'}`)
+                .join(', ');
+            statusLine.textContent = `Local proxy running - ${services}`;
+        });
     }
     
     /**
@@ -360,6 +496,29 @@ export class GameSetup {
                     " onfocus="this.style.borderColor='#667eea'" onblur="this.style.borderColor='#ddd'">
                 </div>
                 
+                <details style="margin-bottom: 15px;">
+                    <summary style="cursor: pointer; font-weight: 600; color: #444; font-size: 13px;">Prompt Overrides (advanced)</summary>
+                    <div style="margin: 8px 0 6px; color: #777; font-size: 12px;">
+                        JSON replacing any of the prompt templates: "systemInstruction", "system", or "events" (by event type, e.g. "hit", "player_query").
+                        System slots: ${PROMPT_SLOTS.system.map(slot => `{{${slot}}}`).join(' ')}.
+                        Event slots: ${PROMPT_SLOTS.events.map(slot => `{{${slot}}}`).join(' ')}.
+                    </div>
+                    <textarea id="${profileId}-prompts" placeholder='{ "events": { "hit": "Someone ({{thrower}}) hit you{{hitCount}}! Answer like an old sailor would. {{eventTools}}" } }' style="
+                        width: 100%;
+                        padding: 12px;
+                        border: 2px solid #ddd;
+                        border-radius: 8px;
+                        min-height: 80px;
+                        resize: vertical;
+                        font-size: 12px;
+                        box-sizing: border-box;
+                        font-family: monospace;
+                        background: white;
+                        color: #333;
+                        transition: border-color 0.3s;
+                    " onfocus="this.style.borderColor='#667eea'" onblur="this.style.borderColor='#ddd'">${this.formatPromptOverrides(existingProfile?.prompts)}</textarea>
+                </details>
+                
                 <div style="display: flex; gap: 10px; margin-top: 15px;">
                     <button class="load-profile-btn" data-profile-id="${profileId}" style="
                         padding: 10px 20px;
@@ -408,6 +567,42 @@ export class GameSetup {
         });
     }
     
+    /**
+     * Prompt overrides as editable JSON (HTML-escaped for the textarea)
+     */
+    formatPromptOverrides(prompts) {
+        if (!prompts) return '';
+        return JSON.stringify(prompts, null, 2).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    }
+    
+    /**
+     * Read and check a profile's prompt overrides
+     * @returns {Object|null} - { prompts } (prompts is null when left empty), or null if invalid
+     */
+    readPromptOverrides(profileId, label) {
+        const text = document.getElementById(`${profileId}-prompts`).value.trim();
+        if (!text) {
+            return { prompts: null };
+        }
+        
+        let prompts;
+        try {
+            prompts = JSON.parse(text);
+        } catch (error) {
+            alert(`Prompt overrides for ${label} are not valid JSON: ${error.message}`);
+            return null;
+        }
+        
+        const errors = validatePromptOverrides(prompts);
+        if (errors.length > 0) {
+            alert(`Prompt overrides for ${label} have problems:\n- ${errors.join('\n- ')}`);
+            return null;
+        }
+        
+        // Remember which template version these were written against
+        return { prompts: { version: PROMPT_TEMPLATES_VERSION, ...prompts } };
+    }
+    
     /**
      * Apply template to NPC profile
      */
@@ -461,6 +656,11 @@ export class GameSetup {
             return;
         }
         
+        const promptOverrides = this.readPromptOverrides(profileId, name);
+        if (!promptOverrides) {
+            return;
+        }
+        
         // Parse traits
         const traits = {};
         if (traitsString) {
@@ -483,6 +683,7 @@ export class GameSetup {
             backstory: backstory,
             traits: traits,
             traitsString: traitsString,
+            prompts: promptOverrides.prompts,
             savedAt: new Date().toISOString()
         };
         
@@ -510,12 +711,29 @@ export class GameSetup {
             document.getElementById(`${profileId}-name`).value = profile.name || '';
             document.getElementById(`${profileId}-backstory`).value = profile.backstory || '';
             document.getElementById(`${profileId}-traits`).value = profile.traitsString || '';
+            document.getElementById(`${profileId}-prompts`).value = profile.prompts ? JSON.stringify(profile.prompts, null, 2) : '';
             alert(`Profile "${profile.name}" loaded!`);
         } else {
             alert('Profile not found. Make sure the name matches a saved profile.');
         }
     }
     
+    /**
+     * Load game settings (sentiment mode, ...)
+     */
+    loadSettings() {
+        try {
+            return { sentimentMode: 'auto', ...JSON.parse(localStorage.getItem('game_settings') || '{}') };
+        } catch (error) {
+            console.error('[GameSetup] Error loading settings:', error);
+            return { sentimentMode: 'auto' };
+        }
+    }
+    
+    saveSettings(settings) {
+        localStorage.setItem('game_settings', JSON.stringify({ ...this.loadSettings(), ...settings }));
+    }
+    
     /**
      * Load saved NPC profiles
      */
@@ -545,6 +763,7 @@ export class GameSetup {
                     document.getElementById(`${profileId}-name`).value = profile.name || '';
                     document.getElementById(`${profileId}-backstory`).value = profile.backstory || '';
                     document.getElementById(`${profileId}-traits`).value = profile.traitsString || '';
+                    document.getElementById(`${profileId}-prompts`).value = profile.prompts ? JSON.stringify(profile.prompts, null, 2) : '';
                 }
             });
             alert(`Loaded ${count} saved profile(s)!`);
@@ -558,6 +777,7 @@ export class GameSetup {
         const playerName = document.getElementById('player-name').value.trim();
         const playerInterests = document.getElementById('player-interests').value.trim();
         const npcCount = parseInt(document.getElementById('npc-count').value) || 2;
+        const sentimentMode = document.getElementById('sentiment-mode').value;
         
         if (!playerName) {
             alert('Please enter your name');
@@ -577,6 +797,11 @@ export class GameSetup {
                 return;
             }
             
+            const promptOverrides = this.readPromptOverrides(profileId, name);
+            if (!promptOverrides) {
+                return;
+            }
+            
             // Parse traits
             const traits = {};
             if (traitsString) {
@@ -600,7 +825,8 @@ export class GameSetup {
                 name: name,
                 displayName: name,
                 backstory: backstory,
-                traits: traits
+                traits: traits,
+                prompts: promptOverrides.prompts
             });
             
             // Save profile to localStorage (for future sessions)
@@ -610,6 +836,7 @@ export class GameSetup {
                 backstory: backstory,
                 traits: traits,
                 traitsString: traitsString,
+                prompts: promptOverrides.prompts,
                 savedAt: new Date().toISOString()
             };
             
@@ -629,7 +856,10 @@ export class GameSetup {
                 name: playerName,
                 interests: playerInterests
             },
-            npcProfiles: npcProfiles
+            npcProfiles: npcProfiles,
+            sentiment: {
+                mode: sentimentMode
+            }
         };
         
         // Save player info
@@ -637,6 +867,7 @@ export class GameSetup {
             name: playerName,
             interests: playerInterests
         }));
+        this.saveSettings({ sentimentMode: sentimentMode });
         
         // Hide setup screen
         const setupContainer = document.getElementById('game-setup');
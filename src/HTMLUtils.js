@@ -0,0 +1,14 @@
+/**
+ * HTMLUtils - Helpers for the debug overlays that build their markup as strings
+ */
+
+/**
+ * Text safe to put in innerHTML (NPC names and speech come from players and models)
+ */
+export function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
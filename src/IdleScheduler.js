@@ -0,0 +1,97 @@
+/**
+ * IdleScheduler - Fires 'periodic_check' events so NPCs act on their own
+ * Each NPC gets its own countdown, shorter for energetic/talkative personalities.
+ * A global budget caps how many idle checks (and therefore model calls) can
+ * fire per minute across all NPCs. Checks pause while the tab is hidden and
+ * for NPCs the player is too far away to see.
+ */
+export class IdleScheduler {
+    constructor(game, options = {}) {
+        this.game = game;
+        this.enabled = options.enabled !== false;
+        this.baseInterval = options.baseInterval ?? 40;   // seconds between checks for an average NPC
+        this.minInterval = options.minInterval ?? 15;
+        this.maxInterval = options.maxInterval ?? 90;
+        this.activeRange = options.activeRange ?? 30;     // NPCs further from the player stay idle
+        this.callBudget = options.callBudget ?? 6;        // idle checks allowed per budget window
+        this.budgetWindow = options.budgetWindow ?? 60;   // seconds
+        this.retryDelay = options.retryDelay ?? 5;        // wait when busy or over budget
+
+        this.timers = new Map(); // npcId -> seconds until next check
+        this.recentChecks = [];  // elapsed time of each fired check
+        this.elapsed = 0;
+    }
+
+    /**
+     * Seconds between idle checks for an NPC, scaled by energy and talkativeness
+     * A fully energetic, talkative NPC checks twice as often as an average one.
+     */
+    getInterval(npc) {
+        const traits = npc.personality?.traits || {};
+        const energy = traits.energy ?? npc.personality?.energy ?? 0.5;
+        const talkativeness = traits.talkativeness ?? npc.personality?.talkativeness ?? 0.5;
+        const activity = (energy + talkativeness) / 2;
+
+        // activity 0 -> 1.5x, 0.5 -> 1x, 1 -> 0.5x the base interval
+        const interval = this.baseInterval * (1.5 - activity);
+        // +/-20% jitter so NPCs with the same traits don't act in lockstep
+        const jitter = 0.8 + Math.random() * 0.4;
+
+        return Math.min(this.maxInterval, Math.max(this.minInterval, interval * jitter));
+    }
+
+    /**
+     * Whether the global budget allows another idle check right now
+     */
+    hasBudget() {
+        this.recentChecks = this.recentChecks.filter(t => this.elapsed - t < this.budgetWindow);
+        return this.recentChecks.length < this.callBudget;
+    }
+
+    /**
+     * Advance the per-NPC countdowns (called from Game.animate)
+     */
+    update(delta) {
+        if (!this.enabled) return;
+        if (typeof document !== 'undefined' && document.hidden) return;
+
+        this.elapsed += delta;
+        const playerPosition = this.game.camera.position;
+
+        this.game.npcs.forEach(npc => {
+            if (!npc.agent) return;
+
+            if (!this.timers.has(npc.id)) {
+                this.timers.set(npc.id, this.getInterval(npc));
+            }
+
+            // Out of the player's range: the countdown is frozen, not reset
+            const playerDistance = npc.position.distanceTo(playerPosition);
+            if (playerDistance > this.activeRange) return;
+
+            const remaining = this.timers.get(npc.id) - delta;
+            if (remaining > 0) {
+                this.timers.set(npc.id, remaining);
+                return;
+            }
+
+            // Don't queue idle checks behind real events
+            if (npc.agent.isProcessing) {
+                this.timers.set(npc.id, this.retryDelay);
+                return;
+            }
+
+            if (!this.hasBudget()) {
+                this.timers.set(npc.id, this.retryDelay);
+                return;
+            }
+
+            console.log(`[IdleScheduler] NPC ${npc.id}: periodic_check (${this.recentChecks.length + 1}/${this.callBudget} this window)`);
+            this.recentChecks.push(this.elapsed);
+            this.timers.set(npc.id, this.getInterval(npc));
+            npc.agent.processEvent('periodic_check', {
+                playerDistance: playerDistance
+            });
+        });
+    }
+}
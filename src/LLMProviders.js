@@ -0,0 +1,713 @@
+/**
+ * LLMProviders - Pluggable model backends for NPC agents
+ * Each provider turns a normalized request into its own REST shape and parses
+ * the reply back into the { text, functionCalls } shape NPCAgent consumes.
+ *
+ * Normalized request:
+ * {
+ *   systemInstruction: 'string',
+ *   messages: [
+ *     { role: 'user', text: 'string' },
+ *     { role: 'model', text: 'string', functionCalls: [{ id, name, args }] },
+ *     { role: 'tool', functionResponses: [{ id, name, response: { ... } }] }
+ *   ],
+ *   tools: [{ name, description, parameters }],   // JSON schema parameters
+ *   generationConfig: { temperature, topK, topP, maxOutputTokens },
+ *   context: { ... },                              // agent context, only read by offline backends
+ *   signal: AbortSignal                            // optional, cancels the HTTP request
+ * }
+ *
+ * Normalized response:
+ * { text: 'string', functionCalls: [{ id, name, args }], usage: { promptTokens, completionTokens, totalTokens } }
+ * (usage is omitted when the backend does not report it)
+ *
+ * Streaming (generateStream) reports the response while it arrives through handlers:
+ * {
+ *   onText(delta, text),                                    // response text so far
+ *   onFunctionCallProgress({ index, name, argumentsText }), // partial arguments (OpenAI-style only)
+ *   onFunctionCall(functionCall, index)                     // a complete call
+ * }
+ * and resolves with the same normalized response as generate().
+ */
+
+/**
+ * Base provider - subclasses implement buildRequest() and parseResponse()
+ */
+export class LLMProvider {
+    constructor(config = {}) {
+        this.config = config;
+        this.type = config.type || 'base';
+        this.model = config.model || null;
+        this.apiKey = config.apiKey || null;
+        this.baseUrl = config.baseUrl || null;
+    }
+
+    /**
+     * Short label for logs, e.g. "gemini/gemini-2.0-flash-lite"
+     */
+    getLabel() {
+        return this.model ? `${this.type}/${this.model}` : this.type;
+    }
+
+    /**
+     * Whether the provider has what it needs (e.g. an API key) to be called
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Whether calls need a key held by this provider: config.requiresKey is false
+     * (e.g. a local server) or a function asked on every call (e.g. whether the
+     * key-holding proxy has one, see LLMSettings.js)
+     */
+    needsKey() {
+        const requiresKey = this.config.requiresKey;
+        return typeof requiresKey === 'function' ? requiresKey() !== false : requiresKey !== false;
+    }
+
+    /**
+     * Whether calls leave the page (and so go through the shared RequestBroker)
+     */
+    usesNetwork() {
+        return true;
+    }
+
+    /**
+     * Send a normalized request and return a normalized response (or null)
+     */
+    async generate(request) {
+        const { url, headers, body } = this.buildRequest(request);
+        const data = await this.postJSON(url, body, headers, request.signal);
+        return this.parseResponse(data);
+    }
+
+    /**
+     * Whether generateStream() really streams (otherwise it reports the whole response at the end)
+     */
+    supportsStreaming() {
+        return false;
+    }
+
+    /**
+     * Send a normalized request, reporting the response through `handlers` as it arrives
+     */
+    async generateStream(request, handlers = {}) {
+        const response = await this.generate(request);
+        if (response) {
+            if (response.text) {
+                handlers.onText?.(response.text, response.text);
+            }
+            response.functionCalls.forEach((fc, index) => handlers.onFunctionCall?.(fc, index));
+        }
+        return response;
+    }
+
+    buildRequest(request) {
+        throw new Error(`${this.type} provider does not implement buildRequest()`);
+    }
+
+    parseResponse(data) {
+        throw new Error(`${this.type} provider does not implement parseResponse()`);
+    }
+
+    /**
+     * POST a JSON body and parse the JSON reply
+     */
+    async postJSON(url, body, headers = {}, signal = undefined) {
+        const response = await this.post(url, body, headers, signal);
+        return response.json();
+    }
+
+    /**
+     * POST a JSON body, throwing an Error carrying the HTTP status (and any
+     * Retry-After seconds) on failure
+     */
+    async post(url, body, headers = {}, signal = undefined) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(body),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`[LLM ${this.getLabel()}] API error (${response.status}):`, errorText);
+            const error = new Error(`${this.type} API error: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            const retryAfter = parseFloat(response.headers.get('retry-after'));
+            if (Number.isFinite(retryAfter)) {
+                error.retryAfter = retryAfter;
+            }
+            throw error;
+        }
+
+        return response;
+    }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+export class GeminiProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({ type: 'gemini', ...config });
+        this.model = config.model || 'gemini-2.0-flash-lite';
+        this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta/models';
+    }
+
+    isConfigured() {
+        // Behind a key-holding proxy (see vite.config.js) the browser has no key
+        return !this.needsKey() || !!this.apiKey;
+    }
+
+    /**
+     * `key` query parameter, when this provider holds the key itself
+     */
+    keyParam() {
+        return this.apiKey ? `key=${encodeURIComponent(this.apiKey)}` : '';
+    }
+
+    supportsStreaming() {
+        return true;
+    }
+
+    /**
+     * streamGenerateContent over SSE - text parts arrive incrementally, function calls whole
+     */
+    async generateStream(request, handlers = {}) {
+        const { body } = this.buildRequest(request);
+        const url = `${this.baseUrl}/${this.model}:streamGenerateContent?alt=sse${this.apiKey ? `&${this.keyParam()}` : ''}`;
+        const response = await this.post(url, body, {}, request.signal);
+
+        let text = '';
+        const functionCalls = [];
+        let usage;
+
+        await readServerSentEvents(response, chunk => {
+            const parts = chunk.candidates?.[0]?.content?.parts || [];
+            parts.forEach(part => {
+                if (part.text) {
+                    text += part.text;
+                    handlers.onText?.(part.text, text);
+                }
+                if (part.functionCall) {
+                    const functionCall = {
+                        id: part.functionCall.id || `call_${functionCalls.length}`,
+                        name: part.functionCall.name,
+                        args: part.functionCall.args || {}
+                    };
+                    functionCalls.push(functionCall);
+                    handlers.onFunctionCall?.(functionCall, functionCalls.length - 1);
+                }
+            });
+            if (chunk.usageMetadata) {
+                usage = parseGeminiUsage(chunk.usageMetadata);
+            }
+        });
+
+        return { text: text.trim(), functionCalls, usage };
+    }
+
+    buildRequest(request) {
+        const body = {
+            contents: request.messages.map(msg => this.toContent(msg)),
+            generationConfig: {
+                temperature: 0.7,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: 1024,
+                ...request.generationConfig
+            }
+        };
+
+        if (request.tools && request.tools.length > 0) {
+            body.tools = [{
+                functionDeclarations: request.tools
+            }];
+            body.toolConfig = {
+                functionCallingConfig: {
+                    mode: 'AUTO' // AUTO mode allows the model to decide when to call functions
+                    // Note: allowedFunctionNames can only be used with ANY mode, not AUTO
+                }
+            };
+        }
+
+        if (request.systemInstruction) {
+            body.systemInstruction = {
+                parts: [{ text: request.systemInstruction }]
+            };
+        }
+
+        return {
+            url: `${this.baseUrl}/${this.model}:generateContent${this.apiKey ? `?${this.keyParam()}` : ''}`,
+            headers: {},
+            body: body
+        };
+    }
+
+    /**
+     * Convert a normalized message into a Gemini content entry
+     */
+    toContent(msg) {
+        if (msg.role === 'tool') {
+            return {
+                role: 'user',
+                parts: msg.functionResponses.map(fr => ({
+                    functionResponse: { name: fr.name, response: fr.response }
+                }))
+            };
+        }
+
+        const parts = [];
+        if (msg.text) {
+            parts.push({ text: msg.text });
+        }
+        (msg.functionCalls || []).forEach(fc => {
+            parts.push({ functionCall: { name: fc.name, args: fc.args } });
+        });
+
+        return {
+            role: msg.role === 'user' ? 'user' : 'model',
+            parts: parts
+        };
+    }
+
+    parseResponse(data) {
+        // Check for direct functionCalls in response (newer API format)
+        if (data.functionCalls && data.functionCalls.length > 0) {
+            return {
+                text: data.text || '',
+                functionCalls: data.functionCalls.map((fc, index) => ({
+                    id: fc.id || `call_${index}`,
+                    name: fc.name,
+                    args: fc.args || {}
+                })),
+                usage: parseGeminiUsage(data.usageMetadata)
+            };
+        }
+
+        // Extract response text and function calls from candidates
+        const parts = data.candidates?.[0]?.content?.parts;
+        if (!parts) {
+            console.warn(`[LLM ${this.getLabel()}] No valid response structure in API response:`, JSON.stringify(data, null, 2));
+            return null;
+        }
+
+        const functionCalls = parts
+            .filter(p => p.functionCall)
+            .map((p, index) => ({
+                id: p.functionCall.id || `call_${index}`,
+                name: p.functionCall.name,
+                args: p.functionCall.args || {}
+            }));
+        const text = parts
+            .filter(p => p.text)
+            .map(p => p.text)
+            .join(' ')
+            .trim();
+
+        return { text, functionCalls, usage: parseGeminiUsage(data.usageMetadata) };
+    }
+}
+
+/**
+ * OpenAI-style /chat/completions API (OpenAI, Groq, OpenRouter, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({ type: 'openai', ...config });
+        this.model = config.model || 'gpt-4o-mini';
+        this.baseUrl = config.baseUrl || 'https://api.openai.com/v1/chat/completions';
+    }
+
+    isConfigured() {
+        // Local OpenAI-compatible servers (LM Studio, vLLM) usually need no key
+        return !this.needsKey() || !!this.apiKey;
+    }
+
+    supportsStreaming() {
+        return true;
+    }
+
+    /**
+     * stream: true over SSE - text and tool call arguments both arrive in fragments
+     */
+    async generateStream(request, handlers = {}) {
+        const { url, headers, body } = this.buildRequest(request);
+        body.stream = true;
+        if (this.config.streamUsage !== false) {
+            // Some compatible servers reject stream_options; set streamUsage: false for those
+            body.stream_options = { include_usage: true };
+        }
+        const response = await this.post(url, body, headers, request.signal);
+
+        let text = '';
+        const calls = [];
+        let completed = 0;
+        let usage;
+
+        // A call is complete once a later one starts (or the stream ends)
+        const completeCallsBefore = (index) => {
+            for (; completed < index; completed++) {
+                if (calls[completed]) {
+                    handlers.onFunctionCall?.(toFunctionCall(calls[completed], completed), completed);
+                }
+            }
+        };
+
+        await readServerSentEvents(response, chunk => {
+            const chunkUsage = chunk.usage || chunk.x_groq?.usage;
+            if (chunkUsage) {
+                usage = {
+                    promptTokens: chunkUsage.prompt_tokens || 0,
+                    completionTokens: chunkUsage.completion_tokens || 0,
+                    totalTokens: chunkUsage.total_tokens || 0
+                };
+            }
+
+            const delta = chunk.choices?.[0]?.delta;
+            if (!delta) return;
+
+            if (delta.content) {
+                text += delta.content;
+                handlers.onText?.(delta.content, text);
+            }
+
+            (delta.tool_calls || []).forEach(toolCall => {
+                const index = toolCall.index ?? calls.length;
+                completeCallsBefore(index);
+
+                const call = calls[index] || (calls[index] = { id: null, name: '', argumentsText: '' });
+                if (toolCall.id) call.id = toolCall.id;
+                if (toolCall.function?.name) call.name += toolCall.function.name;
+                if (toolCall.function?.arguments) call.argumentsText += toolCall.function.arguments;
+
+                handlers.onFunctionCallProgress?.({ index, name: call.name, argumentsText: call.argumentsText });
+            });
+        });
+        completeCallsBefore(calls.length);
+
+        return {
+            text: text.trim(),
+            functionCalls: calls.filter(Boolean).map((call, index) => toFunctionCall(call, index)),
+            usage: usage
+        };
+    }
+
+    buildRequest(request) {
+        const messages = toChatMessages(request, { stringifyArguments: true });
+
+        const config = request.generationConfig || {};
+        const body = {
+            model: this.model,
+            messages: messages,
+            temperature: config.temperature ?? 0.7,
+            top_p: config.topP ?? 0.95,
+            max_tokens: config.maxOutputTokens ?? 1024
+        };
+
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+            body.tool_choice = 'auto';
+        }
+
+        const headers = {};
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return { url: this.baseUrl, headers, body };
+    }
+
+    parseResponse(data) {
+        const message = data.choices?.[0]?.message;
+        if (!message) {
+            console.warn(`[LLM ${this.getLabel()}] No message in API response:`, JSON.stringify(data, null, 2));
+            return null;
+        }
+
+        const functionCalls = (message.tool_calls || []).map((call, index) => ({
+            id: call.id || `call_${index}`,
+            name: call.function?.name,
+            args: parseArguments(call.function?.arguments)
+        }));
+
+        return {
+            text: (message.content || '').trim(),
+            functionCalls: functionCalls,
+            usage: data.usage ? {
+                promptTokens: data.usage.prompt_tokens || 0,
+                completionTokens: data.usage.completion_tokens || 0,
+                totalTokens: data.usage.total_tokens || 0
+            } : undefined
+        };
+    }
+}
+
+/**
+ * Ollama-style local server /api/chat
+ */
+export class OllamaProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({ type: 'ollama', ...config });
+        this.model = config.model || 'llama3.1';
+        this.baseUrl = config.baseUrl || 'http://localhost:11434';
+    }
+
+    buildRequest(request) {
+        const messages = toChatMessages(request, { stringifyArguments: false });
+
+        const config = request.generationConfig || {};
+        const body = {
+            model: this.model,
+            messages: messages,
+            stream: false,
+            options: {
+                temperature: config.temperature ?? 0.7,
+                top_k: config.topK ?? 40,
+                top_p: config.topP ?? 0.95,
+                num_predict: config.maxOutputTokens ?? 1024
+            }
+        };
+
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+        }
+
+        return {
+            url: `${this.baseUrl}/api/chat`,
+            headers: {},
+            body: body
+        };
+    }
+
+    parseResponse(data) {
+        const message = data.message;
+        if (!message) {
+            console.warn(`[LLM ${this.getLabel()}] No message in API response:`, JSON.stringify(data, null, 2));
+            return null;
+        }
+
+        const functionCalls = (message.tool_calls || []).map((call, index) => ({
+            id: call.id || `call_${index}`,
+            name: call.function?.name,
+            args: parseArguments(call.function?.arguments)
+        }));
+
+        return {
+            text: (message.content || '').trim(),
+            functionCalls: functionCalls,
+            usage: data.eval_count !== undefined ? {
+                promptTokens: data.prompt_eval_count || 0,
+                completionTokens: data.eval_count || 0,
+                totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+            } : undefined
+        };
+    }
+}
+
+/**
+ * Mock provider - returns canned responses without touching the network
+ * `responses` may be an array (consumed in order, last one repeats) or a
+ * function (request) => response. Every request is kept in `this.requests`.
+ */
+export class MockProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({ type: 'mock', ...config });
+        this.responses = config.responses || [];
+        this.requests = [];
+        this.callCount = 0;
+    }
+
+    usesNetwork() {
+        return false;
+    }
+
+    async generate(request) {
+        this.requests.push(request);
+        const index = this.callCount++;
+
+        let response;
+        if (typeof this.responses === 'function') {
+            response = await this.responses(request, index);
+        } else if (this.responses.length > 0) {
+            response = this.responses[Math.min(index, this.responses.length - 1)];
+        } else {
+            response = { text: '', functionCalls: [] };
+        }
+
+        if (!response) return null;
+
+        return {
+            text: response.text || '',
+            functionCalls: (response.functionCalls || []).map((fc, i) => ({
+                id: fc.id || `call_${i}`,
+                name: fc.name,
+                args: { ...(fc.args || {}) }
+            })),
+            usage: response.usage
+        };
+    }
+}
+
+/**
+ * Convert normalized messages into OpenAI-style chat messages
+ * OpenAI expects tool call arguments as a JSON string, Ollama as an object.
+ */
+function toChatMessages(request, { stringifyArguments }) {
+    const messages = [];
+    if (request.systemInstruction) {
+        messages.push({ role: 'system', content: request.systemInstruction });
+    }
+
+    request.messages.forEach(msg => {
+        if (msg.role === 'tool') {
+            msg.functionResponses.forEach(fr => {
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: fr.id,
+                    name: fr.name,
+                    content: JSON.stringify(fr.response)
+                });
+            });
+            return;
+        }
+
+        const message = {
+            role: msg.role === 'user' ? 'user' : 'assistant',
+            content: msg.text || ''
+        };
+        if (msg.functionCalls && msg.functionCalls.length > 0) {
+            message.tool_calls = msg.functionCalls.map(fc => ({
+                id: fc.id,
+                type: 'function',
+                function: {
+                    name: fc.name,
+                    arguments: stringifyArguments ? JSON.stringify(fc.args || {}) : (fc.args || {})
+                }
+            }));
+        }
+        messages.push(message);
+    });
+
+    return messages;
+}
+
+/**
+ * Read a server-sent events body, calling onData with each parsed `data:` JSON payload
+ */
+async function readServerSentEvents(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
+        const data = trimmed.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+        try {
+            onData(JSON.parse(data));
+        } catch (error) {
+            console.warn('[LLM] Could not parse stream chunk:', data);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    buffer += decoder.decode();
+    buffer.split('\n').forEach(handleLine);
+}
+
+/**
+ * Normalize a streamed OpenAI-style tool call
+ */
+function toFunctionCall(call, index) {
+    return {
+        id: call.id || `call_${index}`,
+        name: call.name,
+        args: parseArguments(call.argumentsText)
+    };
+}
+
+/**
+ * Convert Gemini usageMetadata into normalized usage
+ */
+function parseGeminiUsage(usageMetadata) {
+    if (!usageMetadata) return undefined;
+    return {
+        promptTokens: usageMetadata.promptTokenCount || 0,
+        completionTokens: usageMetadata.candidatesTokenCount || 0,
+        totalTokens: usageMetadata.totalTokenCount || 0
+    };
+}
+
+/**
+ * Parse tool call arguments that may arrive as a JSON string or an object
+ */
+function parseArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+        return JSON.parse(args);
+    } catch (error) {
+        console.warn('[LLM] Could not parse tool call arguments:', args);
+        return {};
+    }
+}
+
+const PROVIDER_TYPES = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    ollama: OllamaProvider,
+    mock: MockProvider
+};
+
+/**
+ * Create a provider from a config object ({ type, model, apiKey, baseUrl, ... })
+ * Provider instances are passed through untouched.
+ */
+export function createProvider(config) {
+    if (config instanceof LLMProvider) {
+        return config;
+    }
+
+    const type = config?.type || 'gemini';
+    const ProviderClass = PROVIDER_TYPES[type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider type: ${type}`);
+    }
+    return new ProviderClass(config || {});
+}
+
+/**
+ * Register an additional provider type so it can be selected by config
+ */
+export function registerProviderType(type, ProviderClass) {
+    PROVIDER_TYPES[type] = ProviderClass;
+}
@@ -0,0 +1,121 @@
+/**
+ * LLMSettings - Where the agents' model requests go, chosen at runtime
+ * No API key is compiled into the client. Two ways to connect:
+ * - 'proxy' (default): requests go to /api/llm on the dev/preview server
+ *   (vite.config.js), which adds the keys from the server's environment
+ *   (.env, GEMINI_API_KEY / GROQ_API_KEY) and forwards them.
+ * - 'own-keys': the player enters their own keys in the LLM Settings dialog;
+ *   they are kept in this browser's localStorage and sent straight to the APIs.
+ *
+ * A service that has no key either way is reported as not configured, so the
+ * agent falls back to its offline backends. Through the proxy that includes
+ * the time before its status check has answered: providers ask again on every
+ * call, so they switch over as soon as it does.
+ */
+
+export const LLM_CONNECTIONS = ['proxy', 'own-keys'];
+
+export const LLM_PROXY_PATH = '/api/llm';
+
+const STORAGE_KEY = 'llm_settings';
+
+const DEFAULT_SETTINGS = {
+    connection: 'proxy',
+    geminiKey: '',
+    groqKey: ''
+};
+
+// Last answer from checkLLMProxy(): undefined until one arrives, null when no proxy answered
+let latestProxyStatus;
+let proxyCheck = null;
+
+const GEMINI_MODEL = 'gemini-2.0-flash-lite';
+const GROQ_MODEL = 'llama-3.3-70b-versatile';
+
+export function loadLLMSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        const settings = { ...DEFAULT_SETTINGS, ...(saved || {}) };
+        if (!LLM_CONNECTIONS.includes(settings.connection)) {
+            settings.connection = DEFAULT_SETTINGS.connection;
+        }
+        return settings;
+    } catch (error) {
+        console.error('Failed to load LLM settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveLLMSettings(settings) {
+    const merged = { ...loadLLMSettings(), ...settings };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        connection: LLM_CONNECTIONS.includes(merged.connection) ? merged.connection : DEFAULT_SETTINGS.connection,
+        geminiKey: String(merged.geminiKey || '').trim(),
+        groqKey: String(merged.groqKey || '').trim()
+    }));
+}
+
+/**
+ * Ask the proxy which services it holds keys for
+ * @returns {Object|null} - { services: { gemini, groq, openai } }, or null when no proxy answers
+ *   (e.g. a static build served without vite.config.js)
+ */
+export async function checkLLMProxy() {
+    try {
+        const response = await fetch(`${LLM_PROXY_PATH}/status`, { headers: { Accept: 'application/json' } });
+        const status = response.ok ? await response.json() : null;
+        latestProxyStatus = status?.services ? status : null;
+    } catch (error) {
+        latestProxyStatus = null;
+    }
+    return latestProxyStatus;
+}
+
+/**
+ * Provider configs for the agent's reasoning and sentiment models
+ * @param {Object} settings - From loadLLMSettings()
+ * @param {Object|null} proxyStatus - From checkLLMProxy(); undefined to follow the latest
+ *   check (starting one if there hasn't been any)
+ * @returns {Object} - { provider, sentimentProvider } for NPCAgent options
+ */
+export function getDefaultProviderConfigs(settings = loadLLMSettings(), proxyStatus = undefined) {
+    if (settings.connection === 'own-keys') {
+        return {
+            provider: {
+                type: 'gemini',
+                model: GEMINI_MODEL,
+                apiKey: settings.geminiKey || ''
+            },
+            sentimentProvider: {
+                type: 'openai',
+                model: GROQ_MODEL,
+                baseUrl: 'https://api.groq.com/openai/v1/chat/completions',
+                apiKey: settings.groqKey || ''
+            }
+        };
+    }
+
+    if (proxyStatus === undefined && latestProxyStatus === undefined && !proxyCheck) {
+        proxyCheck = checkLLMProxy();
+    }
+    // Through the proxy the browser holds no key; a service only counts as
+    // configured once the proxy has said it holds one (asked on every call)
+    const requiresKey = (service) => () => {
+        const status = proxyStatus !== undefined ? proxyStatus : latestProxyStatus;
+        return !status?.services?.[service];
+    };
+    return {
+        provider: {
+            type: 'gemini',
+            model: GEMINI_MODEL,
+            baseUrl: `${LLM_PROXY_PATH}/gemini/models`,
+            requiresKey: requiresKey('gemini')
+        },
+        sentimentProvider: {
+            type: 'openai',
+            model: GROQ_MODEL,
+            baseUrl: `${LLM_PROXY_PATH}/groq/chat/completions`,
+            requiresKey: requiresKey('groq')
+        }
+    };
+}
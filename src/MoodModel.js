@@ -0,0 +1,244 @@
+/**
+ * MoodModel - How an NPC feels, moment to moment
+ * Mood is two numbers rather than a chosen expression:
+ *
+ * - valence: -1 (miserable, furious) to 1 (delighted);
+ * - arousal: 0 (calm, listless) to 1 (agitated, excited);
+ *
+ * plus a short-lived `surprise` (0-1). Events push the mood around (see
+ * STIMULI: a hit, a friendly or hostile word, rain...) and it drifts back to
+ * the NPC's baseline - a friendly NPC rests a little above 0, an energetic one
+ * a little more aroused - with the given half-lives. set_expression is a
+ * deliberate nudge towards that expression, which fades like any other.
+ *
+ * The face is blended from getExpressionWeights() every frame (NPC.updateAnimations);
+ * the mouth shows the strongest expression. The state is saved in NPCMemory when
+ * its label changes, otherwise at most every SAVE_INTERVAL seconds, and the time
+ * spent away is decayed on load.
+ *
+ * Options (setup data `mood`):
+ * { valenceHalfLife, arousalHalfLife, surpriseHalfLife (seconds), expressStrength (0-1) }
+ */
+
+// Per-event pushes on the mood, scaled by the caller's intensity
+const STIMULI = {
+    hit: { valence: -0.45, arousal: 0.5, surprise: 0.8 },
+    friendly_message: { valence: 0.3, arousal: 0.1 },
+    neutral_message: { valence: 0.05, arousal: 0 },
+    hostile_message: { valence: -0.3, arousal: 0.3 },
+    threat: { valence: -0.35, arousal: 0.5, surprise: 0.3 },
+    manipulation: { valence: -0.2, arousal: 0.2 },
+    rain: { valence: -0.15, arousal: -0.05 },
+    clear_weather: { valence: 0.1, arousal: 0 },
+    npc_chat: { valence: 0.05, arousal: 0.05 },
+    robbed: { valence: -0.25, arousal: 0.3 },
+    witnessed_crime: { valence: -0.15, arousal: 0.25, surprise: 0.3 }
+};
+
+// Where each expression sits in valence/arousal, for set_expression
+const EXPRESSION_ANCHORS = {
+    Smile: { valence: 0.6, arousal: 0.4 },
+    Frown: { valence: -0.5, arousal: 0.15 },
+    Angry: { valence: -0.6, arousal: 0.8 },
+    Surprise: { valence: 0, arousal: 0.6 }
+};
+
+// Valence at which Smile (or Frown/Angry, negated) shows at full strength
+const FULL_EXPRESSION = 0.5;
+
+// Game seconds between saves of a mood that moved without changing its label
+const SAVE_INTERVAL = 30;
+
+export class MoodModel {
+    constructor(npc, options = {}) {
+        this.npc = npc;
+        this.configure(options);
+
+        const baseline = this.getBaseline();
+        this.valence = baseline.valence;
+        this.arousal = baseline.arousal;
+        this.surprise = 0;
+        this.cause = null; // last stimulus that moved the mood
+
+        this.savedLabel = null;
+        this.unsaved = false;
+        this.sinceSave = 0; // game seconds
+    }
+
+    configure(options = {}) {
+        this.valenceHalfLife = options.valenceHalfLife ?? this.valenceHalfLife ?? 90;   // seconds
+        this.arousalHalfLife = options.arousalHalfLife ?? this.arousalHalfLife ?? 45;   // seconds
+        this.surpriseHalfLife = options.surpriseHalfLife ?? this.surpriseHalfLife ?? 2; // seconds
+        this.expressStrength = options.expressStrength ?? this.expressStrength ?? 0.8;
+    }
+
+    /**
+     * Resting mood from the personality: friendliness lifts valence, energy arousal
+     */
+    getBaseline() {
+        const personality = this.npc.personality || {};
+        const friendliness = personality.traits?.friendliness ?? personality.friendliness ?? 0.5;
+        const energy = personality.traits?.energy ?? personality.energy ?? 0.5;
+        return {
+            valence: (friendliness - 0.5) * 0.4,
+            arousal: 0.1 + energy * 0.2
+        };
+    }
+
+    /**
+     * Drift back towards the baseline (called from NPC.update)
+     */
+    update(delta) {
+        const baseline = this.getBaseline();
+        this.valence = baseline.valence + (this.valence - baseline.valence) * halfLifeFactor(delta, this.valenceHalfLife);
+        this.arousal = baseline.arousal + (this.arousal - baseline.arousal) * halfLifeFactor(delta, this.arousalHalfLife);
+        this.surprise *= halfLifeFactor(delta, this.surpriseHalfLife);
+
+        this.sinceSave += delta;
+        if (this.unsaved && this.sinceSave >= SAVE_INTERVAL) {
+            this.save();
+        }
+    }
+
+    /**
+     * Something happened that moves the mood
+     * @param {string} stimulus - Key of STIMULI
+     * @param {Object} options - { intensity } (default 1)
+     */
+    feel(stimulus, options = {}) {
+        const push = STIMULI[stimulus];
+        if (!push) return;
+
+        const intensity = options.intensity ?? 1;
+        this.valence = clamp(this.valence + push.valence * intensity, -1, 1);
+        this.arousal = clamp(this.arousal + push.arousal * intensity, 0, 1);
+        this.surprise = Math.max(this.surprise, clamp((push.surprise || 0) * intensity, 0, 1));
+        this.cause = stimulus;
+        console.log(`[NPC ${this.npc.id}] Mood: ${this.getLabel()} after ${stimulus.replace(/_/g, ' ')} (valence ${this.valence.toFixed(2)}, arousal ${this.arousal.toFixed(2)})`);
+        this.changed();
+    }
+
+    /**
+     * Deliberately show an expression (set_expression): move the mood most of
+     * the way towards it
+     */
+    express(name) {
+        const anchor = name === 'Neutral' ? this.getBaseline() : EXPRESSION_ANCHORS[name];
+        if (!anchor) return false;
+
+        this.valence += (anchor.valence - this.valence) * this.expressStrength;
+        this.arousal += (anchor.arousal - this.arousal) * this.expressStrength;
+        this.surprise = name === 'Surprise' ? 1 : name === 'Neutral' ? 0 : this.surprise;
+        this.changed();
+        return true;
+    }
+
+    /**
+     * How strongly each expression shows on the face (they sum to 1)
+     * @returns {Object} - { Neutral, Smile, Frown, Angry, Surprise }
+     */
+    getExpressionWeights() {
+        const negative = clamp(-this.valence / FULL_EXPRESSION, 0, 1);
+        const weights = {
+            Smile: clamp(this.valence / FULL_EXPRESSION, 0, 1),
+            Frown: negative * (1 - this.arousal),
+            Angry: negative * this.arousal,
+            Surprise: this.surprise
+        };
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        if (total > 1) {
+            Object.keys(weights).forEach(name => { weights[name] /= total; });
+        }
+        return { Neutral: Math.max(0, 1 - total), ...weights };
+    }
+
+    /**
+     * The strongest expression, for the mouth
+     */
+    getDominantExpression() {
+        return Object.entries(this.getExpressionWeights())
+            .reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+    }
+
+    /**
+     * A word for the current mood
+     */
+    getLabel() {
+        if (this.surprise > 0.5) return 'startled';
+        if (this.valence >= 0.4) return this.arousal >= 0.5 ? 'elated' : 'happy';
+        if (this.valence >= 0.15) return this.arousal >= 0.5 ? 'cheerful' : 'content';
+        if (this.valence > -0.15) return this.arousal >= 0.6 ? 'tense' : 'calm';
+        if (this.valence > -0.4) return this.arousal >= 0.5 ? 'irritated' : 'glum';
+        return this.arousal >= 0.5 ? 'furious' : 'miserable';
+    }
+
+    /**
+     * Plain data for the agent context and the inspector
+     */
+    getState() {
+        return {
+            label: this.getLabel(),
+            valence: round(this.valence),
+            arousal: round(this.arousal),
+            surprise: round(this.surprise),
+            expression: this.getDominantExpression(),
+            cause: this.cause
+        };
+    }
+
+    /**
+     * Save straight away if the mood now reads differently, otherwise leave it
+     * to update() (saving writes the whole memory to localStorage)
+     */
+    changed() {
+        this.unsaved = true;
+        if (this.getLabel() !== this.savedLabel) {
+            this.save();
+        }
+    }
+
+    save() {
+        this.npc.agent?.memory.recordMood({
+            valence: this.valence,
+            arousal: this.arousal,
+            cause: this.cause
+        });
+        this.savedLabel = this.getLabel();
+        this.unsaved = false;
+        this.sinceSave = 0;
+    }
+
+    /**
+     * Pick up a saved mood, letting it fade for the time that has passed since
+     * @param {Object} saved - { valence, arousal, cause, timestamp } from NPCMemory
+     */
+    restore(saved) {
+        if (!saved || typeof saved.valence !== 'number' || typeof saved.arousal !== 'number') return;
+
+        this.valence = clamp(saved.valence, -1, 1);
+        this.arousal = clamp(saved.arousal, 0, 1);
+        this.surprise = 0;
+        this.cause = saved.cause || null;
+
+        const elapsed = saved.timestamp ? (Date.now() - Date.parse(saved.timestamp)) / 1000 : 0;
+        if (elapsed > 0) {
+            this.update(elapsed);
+        }
+        console.log(`[NPC ${this.npc.id}] Mood restored: ${this.getLabel()} (valence ${this.valence.toFixed(2)}, arousal ${this.arousal.toFixed(2)})`);
+    }
+}
+
+/**
+ * Share of a deviation left after `delta` seconds
+ */
+function halfLifeFactor(delta, halfLife) {
+    return halfLife > 0 ? Math.pow(0.5, delta / halfLife) : 0;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+    return Number(value.toFixed(2));
+}
@@ -1,4 +1,17 @@
 import * as THREE from 'three';
+import { ActionQueue } from './ActionQueue.js';
+import { BehaviorTree } from './BehaviorTree.js';
+import { Perception } from './Perception.js';
+import { MoodModel } from './MoodModel.js';
+
+// Brow tilt (left brow; the right mirrors it), brow height and cheek height per expression
+const FACE_POSES = {
+    Neutral: { browTilt: 0, browHeight: 0.275, cheekHeight: -0.05 },
+    Smile: { browTilt: -0.15, browHeight: 0.275, cheekHeight: 0.05 },
+    Frown: { browTilt: 0.15, browHeight: 0.275, cheekHeight: -0.05 },
+    Angry: { browTilt: -0.3, browHeight: 0.275, cheekHeight: -0.02 },
+    Surprise: { browTilt: 0, browHeight: 0.65, cheekHeight: -0.05 }
+};
 
 export class NPC {
     constructor(scene, position, id, environmentManager = null, customPersonality = null) {
@@ -24,10 +37,17 @@ export class NPC {
         // Initialize behavior system
         this.behavior = this.initializeBehavior();
         
+        // What this NPC can see (all the agent gets to know about its surroundings)
+        this.perception = new Perception(this);
+        
+        // How the NPC feels; drives its face (see MoodModel.js)
+        this.mood = new MoodModel(this);
+        
         // Movement system
         this.targetPosition = null;
         this.moveSpeed = 2.0; // units per second
         this.isMoving = false;
+        this.pendingMove = null; // arrival promise callbacks for the current target
         
         // Speech system
         this.speechBubble = null;
@@ -60,7 +80,6 @@ export class NPC {
         this.blinkTimer = 0;
         this.talkingTimer = 0;
         this.isWalking = false;
-        this.targetExpression = 'Neutral';
         this.currentExpression = 'Neutral';
         
         // Animation time tracking
@@ -432,10 +451,11 @@ export class NPC {
     }
     
     initializeBehavior() {
-        // Behavior system for future implementation
+        // Behavior system - the action queue runs agent plans step by step, and the
+        // behavior tree fills in while the agent can't decide
         return {
-            currentAction: null,
-            actionQueue: [],
+            actionQueue: new ActionQueue(this),
+            tree: new BehaviorTree(this),
             lastActionTime: Date.now(),
             updateInterval: 1000 // Update every second (for future behaviors)
         };
@@ -452,6 +472,18 @@ export class NPC {
             this.isWalking = false;
         }
         
+        // Heading for the view cone
+        this.perception.update(delta);
+        
+        // Rule-based behavior while the agent is busy or offline
+        this.behavior.tree.update(delta);
+        
+        // Advance waiting steps in the current plan
+        this.behavior.actionQueue.update(delta);
+        
+        // Mood drifts back to its baseline
+        this.mood.update(delta);
+        
         // Update animations
         this.updateAnimations(delta);
         
@@ -532,57 +564,47 @@ export class NPC {
             if (this.rightKneePivot) this.rightKneePivot.rotation.x += (staticKneeBend - this.rightKneePivot.rotation.x) * 0.1;
         }
         
-        // --- Facial Expression Transitions ---
-        switch(this.targetExpression) {
-            case 'Smile':
-                if (this.leftBrow) this.leftBrow.rotation.z += (-0.15 - this.leftBrow.rotation.z) * 0.1;
-                if (this.rightBrow) this.rightBrow.rotation.z += (0.15 - this.rightBrow.rotation.z) * 0.1;
-                if (this.leftCheek) this.leftCheek.position.y += (0.05 - this.leftCheek.position.y) * 0.1;
-                if (this.rightCheek) this.rightCheek.position.y += (0.05 - this.rightCheek.position.y) * 0.1;
-                break;
-            case 'Frown':
-                if (this.leftBrow) this.leftBrow.rotation.z += (0.15 - this.leftBrow.rotation.z) * 0.1;
-                if (this.rightBrow) this.rightBrow.rotation.z += (-0.15 - this.rightBrow.rotation.z) * 0.1;
-                if (this.leftCheek) this.leftCheek.position.y += (-0.05 - this.leftCheek.position.y) * 0.1;
-                if (this.rightCheek) this.rightCheek.position.y += (-0.05 - this.rightCheek.position.y) * 0.1;
-                break;
-            case 'Angry':
-                if (this.leftBrow) this.leftBrow.rotation.z += (-0.3 - this.leftBrow.rotation.z) * 0.1;
-                if (this.rightBrow) this.rightBrow.rotation.z += (0.3 - this.rightBrow.rotation.z) * 0.1;
-                if (this.leftCheek) this.leftCheek.position.y += (-0.02 - this.leftCheek.position.y) * 0.1;
-                if (this.rightCheek) this.rightCheek.position.y += (-0.02 - this.rightCheek.position.y) * 0.1;
-                break;
-            case 'Surprise':
-                if (this.leftBrow) {
-                    this.leftBrow.position.y += (0.65 - this.leftBrow.position.y) * 0.1;
-                    this.leftBrow.rotation.z += (0 - this.leftBrow.rotation.z) * 0.1;
-                }
-                if (this.rightBrow) {
-                    this.rightBrow.position.y += (0.65 - this.rightBrow.position.y) * 0.1;
-                    this.rightBrow.rotation.z += (0 - this.rightBrow.rotation.z) * 0.1;
-                }
-                if (this.leftCheek) this.leftCheek.position.y += (-0.05 - this.leftCheek.position.y) * 0.1;
-                if (this.rightCheek) this.rightCheek.position.y += (-0.05 - this.rightCheek.position.y) * 0.1;
-                break;
-            default: // Neutral
-                if (this.leftBrow) {
-                    this.leftBrow.rotation.z += (0 - this.leftBrow.rotation.z) * 0.1;
-                    this.leftBrow.position.y += (0.275 - this.leftBrow.position.y) * 0.1;
-                }
-                if (this.rightBrow) {
-                    this.rightBrow.rotation.z += (0 - this.rightBrow.rotation.z) * 0.1;
-                    this.rightBrow.position.y += (0.275 - this.rightBrow.position.y) * 0.1;
-                }
-                if (this.leftCheek) this.leftCheek.position.y += (-0.05 - this.leftCheek.position.y) * 0.1;
-                if (this.rightCheek) this.rightCheek.position.y += (-0.05 - this.rightCheek.position.y) * 0.1;
-                break;
+        // --- Facial Expression Blending ---
+        // Brows and cheeks move towards the mood's mix of expressions; the mouth
+        // shows the strongest one
+        const weights = this.mood.getExpressionWeights();
+        const face = { browTilt: 0, browHeight: 0, cheekHeight: 0 };
+        Object.entries(weights).forEach(([name, weight]) => {
+            const pose = FACE_POSES[name];
+            face.browTilt += pose.browTilt * weight;
+            face.browHeight += pose.browHeight * weight;
+            face.cheekHeight += pose.cheekHeight * weight;
+        });
+        if (this.leftBrow) {
+            this.leftBrow.rotation.z += (face.browTilt - this.leftBrow.rotation.z) * 0.1;
+            this.leftBrow.position.y += (face.browHeight - this.leftBrow.position.y) * 0.1;
+        }
+        if (this.rightBrow) {
+            this.rightBrow.rotation.z += (-face.browTilt - this.rightBrow.rotation.z) * 0.1;
+            this.rightBrow.position.y += (face.browHeight - this.rightBrow.position.y) * 0.1;
+        }
+        if (this.leftCheek) this.leftCheek.position.y += (face.cheekHeight - this.leftCheek.position.y) * 0.1;
+        if (this.rightCheek) this.rightCheek.position.y += (face.cheekHeight - this.rightCheek.position.y) * 0.1;
+        
+        const dominant = this.mood.getDominantExpression();
+        if (dominant !== this.currentExpression) {
+            this.showMouth(dominant);
         }
     }
     
+    /**
+     * Show an expression on purpose (set_expression, behavior tree): the mood
+     * moves towards it, so it fades again as the mood settles
+     */
     setExpression(name) {
+        if (!this.mood.express(name)) return;
+        this.showMouth(this.mood.getDominantExpression());
+        console.log(`[NPC ${this.id}] Expression set to: ${name}`);
+    }
+    
+    showMouth(name) {
         if (!this.mouths) return;
         
-        this.targetExpression = name;
         this.currentExpression = name;
         
         // Hide all mouths
@@ -609,8 +631,6 @@ export class NPC {
                 if (this.mouths.SurpriseTeeth) this.mouths.SurpriseTeeth.visible = true;
                 break;
         }
-        
-        console.log(`[NPC ${this.id}] Expression set to: ${name}`);
     }
     
     updateMovement(delta) {
@@ -632,6 +652,9 @@ export class NPC {
             this.isMoving = false;
             this.isWalking = false;
             this.state = 'idle';
+            this.settleMove(null);
+        } else if (this.pendingMove && this.checkMoveFailure(delta, distance)) {
+            // Gave up (timeout or blocked) - settleMove already stopped movement
         } else {
             // Move towards target (only on X and Z axes, preserve Y)
             direction.normalize();
@@ -667,12 +690,18 @@ export class NPC {
         document.body.appendChild(this.speechBubble);
     }
     
+    /**
+     * Name the NPC goes by: on its name tag, in other NPCs' prompts and in the debug overlays
+     */
+    getDisplayName() {
+        return this.personality?.displayName || this.personality?.name || `NPC ${this.id}`;
+    }
+    
     setupNameTag() {
         // Create name tag element
-        const displayName = this.personality?.displayName || this.personality?.name || `NPC ${this.id}`;
         this.nameTag = document.createElement('div');
         this.nameTag.id = `npc-name-${this.id}`;
-        this.nameTag.textContent = displayName;
+        this.nameTag.textContent = this.getDisplayName();
         this.nameTag.style.cssText = `
             position: absolute;
             color: white;
@@ -796,10 +825,7 @@ export class NPC {
     speak(message, duration = 5000) {
         if (!this.speechBubble) return;
         
-        this.currentSpeech = message;
-        this.speechBubble.textContent = message;
-        this.speechBubble.style.display = 'block';
-        this.state = 'talking';
+        this.showSpeechBubble(message);
         
         // Don't change expression - keep current emotion expression
         
@@ -809,6 +835,30 @@ export class NPC {
         // Start text-to-speech
         this.speakText(message);
         
+        this.hideSpeechBubbleAfter(duration);
+    }
+    
+    /**
+     * Show (or update) the speech bubble text; it stays up until hideSpeechBubbleAfter.
+     * Used directly for text that is still streaming in.
+     */
+    showSpeechBubble(message) {
+        if (!this.speechBubble) return;
+        
+        if (this.speechTimeout) {
+            clearTimeout(this.speechTimeout);
+            this.speechTimeout = null;
+        }
+        
+        this.currentSpeech = message;
+        this.speechBubble.textContent = message;
+        this.speechBubble.style.display = 'block';
+        this.state = 'talking';
+    }
+    
+    hideSpeechBubbleAfter(duration = 5000) {
+        if (!this.speechBubble) return;
+        
         // Clear existing timeout
         if (this.speechTimeout) {
             clearTimeout(this.speechTimeout);
@@ -877,14 +927,18 @@ export class NPC {
         return this.id === 1; // Elenor is female by default
     }
     
-    speakText(text) {
+    /**
+     * Speak text aloud. With { queue: true } it is spoken after anything already
+     * queued (e.g. the next sentence of a streamed reply) instead of cutting it off.
+     */
+    speakText(text, options = {}) {
         if (!this.speechSynthesis) {
             console.warn(`[NPC ${this.id}] Speech synthesis not available`);
             return;
         }
         
         // Stop any current speech
-        if (this.currentUtterance) {
+        if (this.currentUtterance && !options.queue) {
             this.speechSynthesis.cancel();
         }
         
@@ -990,14 +1044,19 @@ export class NPC {
         }
         
         // Event handlers
+        // Only the last queued utterance clears the reference, so stopSpeaking still cancels the rest
         utterance.onend = () => {
             console.log(`[NPC ${this.id}] Speech synthesis ended`);
-            this.currentUtterance = null;
+            if (this.currentUtterance === utterance) {
+                this.currentUtterance = null;
+            }
         };
         
         utterance.onerror = (event) => {
             console.error(`[NPC ${this.id}] Speech synthesis error:`, event.error);
-            this.currentUtterance = null;
+            if (this.currentUtterance === utterance) {
+                this.currentUtterance = null;
+            }
         };
         
         // Store reference and speak
@@ -1014,11 +1073,90 @@ export class NPC {
         }
     }
     
-    setTargetPosition(position) {
+    /**
+     * Walk to a position
+     * Returns a promise that resolves on arrival and rejects with an Error whose
+     * `reason` is 'timeout', 'blocked', 'superseded' (a newer target was set) or
+     * whatever stopMoving was given. Callers that don't care about arrival can ignore it.
+     * @param {Object} options - { timeout } in seconds (default scales with distance)
+     */
+    setTargetPosition(position, options = {}) {
+        // A new target replaces any walk in progress
+        this.settleMove('superseded');
+        
         this.targetPosition = position.clone();
         // Ensure Y coordinate is 0 (ground level) - NPCs move horizontally only
         this.targetPosition.y = 0;
         this.isMoving = true;
+        
+        const distance = Math.hypot(this.targetPosition.x - this.position.x, this.targetPosition.z - this.position.z);
+        const arrival = new Promise((resolve, reject) => {
+            this.pendingMove = {
+                resolve,
+                reject,
+                elapsed: 0,
+                timeout: options.timeout ?? (distance / this.moveSpeed) * 1.5 + 3,
+                bestDistance: distance,
+                stalledTime: 0
+            };
+        });
+        // Keep ignored arrival promises from surfacing as unhandled rejections
+        arrival.catch(() => {});
+        return arrival;
+    }
+    
+    /**
+     * Stop walking; a pending arrival promise rejects with `reason`
+     */
+    stopMoving(reason = 'superseded') {
+        this.targetPosition = null;
+        this.isMoving = false;
+        this.isWalking = false;
+        this.state = 'idle';
+        this.settleMove(reason);
+    }
+    
+    /**
+     * Track progress toward the target; returns true if the walk was abandoned
+     */
+    checkMoveFailure(delta, distance) {
+        const move = this.pendingMove;
+        move.elapsed += delta;
+        
+        // Blocked: less than 0.1 units of progress in 2 seconds
+        if (distance < move.bestDistance - 0.1) {
+            move.bestDistance = distance;
+            move.stalledTime = 0;
+        } else {
+            move.stalledTime += delta;
+        }
+        
+        const reason = move.elapsed > move.timeout ? 'timeout' : move.stalledTime > 2.0 ? 'blocked' : null;
+        if (!reason) return false;
+        
+        console.log(`[NPC ${this.id}] Gave up walking to target (${reason}), ${distance.toFixed(1)} units short`);
+        this.stopMoving(reason);
+        return true;
+    }
+    
+    /**
+     * Resolve (reason = null) or reject the pending arrival promise
+     */
+    settleMove(reason) {
+        const move = this.pendingMove;
+        if (!move) return;
+        this.pendingMove = null;
+        
+        if (reason) {
+            const error = new Error(`Movement ${reason}`);
+            error.reason = reason;
+            move.reject(error);
+        } else {
+            move.resolve({
+                position: { x: this.position.x, z: this.position.z },
+                elapsed: move.elapsed
+            });
+        }
     }
     
     // Methods for future implementation
@@ -1047,16 +1185,20 @@ export class NPC {
      */
     getEnvironmentState() {
         if (this.environmentManager) {
-            return this.environmentManager.getState();
+            // What the NPC can tell by looking at the sky - no forecast
+            const { nextWeather, timeRemaining, weatherProgress, birdCount, ...state } = this.environmentManager.getState();
+            return state;
         }
         return null;
     }
     
     /**
      * Get full context for LLM agent
-     * Includes NPC state, personality, and environment
+     * Includes NPC state, personality, environment, what the NPC can see and its mood
+     * @param {Object} options - { remember }: the agent is looking, so note where it saw
+     *   everyone (the inspector only peeks)
      */
-    getContextForLLM() {
+    getContextForLLM(options = {}) {
         return {
             npcId: this.id,
             position: {
@@ -1065,9 +1207,13 @@ export class NPC {
                 z: this.position.z
             },
             state: this.state,
+            inventory: { ...this.inventory },
+            plan: this.behavior.actionQueue.getPlan(),
             personality: this.personality,
             attributes: this.attributes,
-            environment: this.getEnvironmentState()
+            environment: this.getEnvironmentState(),
+            perceived: this.perception.perceive({ remember: options.remember }),
+            mood: this.mood.getState()
         };
     }
     
@@ -1087,14 +1233,33 @@ export class NPC {
         // Log hit for debugging/LLM context
         console.log(`NPC ${this.id} hit by ${thrower?.id || 'unknown'} at position (${this.position.x.toFixed(2)}, ${this.position.y.toFixed(2)}, ${this.position.z.toFixed(2)})`);
         
+        // Turn around to see who threw it; an unseen thrower stays unknown
+        const seenThrower = this.perception.identify(thrower);
+        if (thrower && !seenThrower) {
+            console.log(`[NPC ${this.id}] Couldn't see who threw the rock`);
+        }
+        
         // Record player hit if it's from the player
-        if (thrower && (thrower.id === 'player' || thrower.type === 'player')) {
+        if (seenThrower && (seenThrower.id === 'player' || seenThrower.type === 'player')) {
             if (this.agent && this.agent.memory) {
                 console.log(`[NPC ${this.id}] Recording player hit in memory`);
                 this.agent.memory.recordPlayerHit('player');
             }
         }
         
+        // Being hit hurts; more so (and angrier) from a player the NPC already dislikes
+        const byPlayer = seenThrower && (seenThrower.id === 'player' || seenThrower.type === 'player');
+        const reputation = this.agent?.memory.getPlayerReputation() ?? 0;
+        this.mood.feel('hit', { intensity: byPlayer && reputation < -5 ? 1.5 : 1 });
+        
+        // Onlookers may have seen who threw it, even if this NPC didn't
+        if (thrower && (thrower.id === 'player' || thrower.type === 'player')) {
+            this.game?.witnesses?.report('hit', this, { firsthand: !!seenThrower });
+        } else if (thrower?.type === 'npc') {
+            // Another NPC did it: a grudge (see RelationshipGraph)
+            this.game?.relationships?.recordHit(this, thrower, { seen: !!seenThrower });
+        }
+        
         // Visual feedback: briefly change color or add effect
         if (this.mesh && this.mesh.children && this.mesh.children.length > 0) {
             const body = this.mesh.children.find(child => child.material && child.material.color);
@@ -1109,10 +1274,13 @@ export class NPC {
             }
         }
         
+        // Let the behavior tree react while the agent thinks
+        this.behavior.tree.notifyHit(seenThrower);
+        
         // Trigger agent event
         if (this.agent) {
             console.log(`[NPC ${this.id}] Triggering agent processEvent('hit')...`);
-            this.agent.processEvent('hit', { thrower: thrower });
+            this.agent.processEvent('hit', { thrower: seenThrower });
             console.log(`[NPC ${this.id}] Agent processEvent('hit') called`);
         } else {
             console.warn(`[NPC ${this.id}] No agent found to process hit event`);
@@ -1128,6 +1296,7 @@ export class NPC {
     
     setAgent(agent) {
         this.agent = agent;
+        this.mood.restore(agent?.memory?.getMood());
     }
     
     setGame(game) {
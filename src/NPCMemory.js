@@ -15,6 +15,11 @@ export class NPCMemory {
             // Player interaction tracking
             playerReputation: 0, // Starts neutral (0), can go positive (friendly) or negative (hostile)
             playerInteractions: [], // Track significant player actions: hits, messages with sentiment
+            npcConversations: [], // Lines heard from (and said to) other NPCs, see ConversationManager
+            knownFacts: [], // Facts about the player and where they came from, see SocialKnowledge
+            seenFactIds: [], // Ids of the last 200 facts learned, kept past knownFacts' cap so none is learned twice
+            mood: null, // Last saved mood, see MoodModel
+            relationships: {}, // NPC id -> how this NPC sees that NPC, see RelationshipGraph
             lastUpdated: new Date().toISOString()
         };
         
@@ -44,6 +49,18 @@ export class NPCMemory {
                 if (!this.memory.playerInteractions) {
                     this.memory.playerInteractions = [];
                 }
+                if (!this.memory.npcConversations) {
+                    this.memory.npcConversations = [];
+                }
+                if (!this.memory.knownFacts) {
+                    this.memory.knownFacts = [];
+                }
+                if (!this.memory.seenFactIds) {
+                    this.memory.seenFactIds = this.memory.knownFacts.map(fact => fact.factId);
+                }
+                if (!this.memory.relationships) {
+                    this.memory.relationships = {};
+                }
                 
                 // Preserve personality if it exists in saved memory
                 // (This allows NPCs to remember their identity across sessions)
@@ -220,6 +237,209 @@ export class NPCMemory {
         console.log(`[Memory NPC ${this.npcId}] Player reputation: ${this.memory.playerReputation} (${reputationChange > 0 ? '+' : ''}${reputationChange})`);
     }
     
+    /**
+     * Record a player message that tried to give the NPC's model instructions
+     * (see PromptSafety.js) as a hostile interaction
+     */
+    recordInjectionAttempt(message, injection) {
+        console.log(`[Memory NPC ${this.npcId}] Recording manipulation attempt: ${injection.matches.join(', ')}`);
+
+        // Ensure playerReputation and playerInteractions exist
+        if (this.memory.playerReputation === undefined) {
+            this.memory.playerReputation = 0;
+        }
+        if (!this.memory.playerInteractions) {
+            this.memory.playerInteractions = [];
+        }
+
+        const sentiment = {
+            label: 'hostile',
+            confidence: injection.confidence,
+            reasoning: `Tried to manipulate the NPC (${injection.matches.join(', ')})`,
+            source: 'prompt-safety'
+        };
+        this.memory.playerReputation -= 5;
+
+        this.memory.playerInteractions.push({
+            type: 'manipulation',
+            message: message,
+            sentiment: sentiment,
+            impact: 'hostile',
+            reputationChange: -5,
+            timestamp: new Date().toISOString()
+        });
+
+        // Keep only last 50 player interactions
+        if (this.memory.playerInteractions.length > 50) {
+            this.memory.playerInteractions = this.memory.playerInteractions.slice(-50);
+        }
+
+        this.addConversation('user', message, null, sentiment);
+
+        this.saveMemory();
+        console.log(`[Memory NPC ${this.npcId}] Player reputation: ${this.memory.playerReputation} (-5)`);
+    }
+
+    /**
+     * Record a line of an NPC-to-NPC conversation this NPC took part in
+     * @param {boolean} own - Whether this NPC said it
+     */
+    recordNPCSpeech(conversationId, speakerId, speakerName, text, own = false) {
+        if (!this.memory.npcConversations) {
+            this.memory.npcConversations = [];
+        }
+        
+        this.memory.npcConversations.push({
+            conversationId: conversationId,
+            speakerId: speakerId,
+            speaker: speakerName,
+            text: text,
+            own: own,
+            timestamp: new Date().toISOString()
+        });
+        
+        // Keep only last 30 lines
+        if (this.memory.npcConversations.length > 30) {
+            this.memory.npcConversations = this.memory.npcConversations.slice(-30);
+        }
+        
+        this.saveMemory();
+    }
+    
+    /**
+     * Learn a fact about the player (see SocialKnowledge)
+     * @param {Object} fact - { factId, kind, summary, impact, victimId, victimName,
+     *   source: 'firsthand' | 'witnessed' | 'told', toldBy, chain, reputationChange }
+     */
+    learnFact(fact) {
+        if (!this.memory.knownFacts) {
+            this.memory.knownFacts = [];
+        }
+        if (this.knowsFact(fact.factId)) {
+            return false;
+        }
+        
+        // Far more than knownFacts keeps, so a fact is long out of circulation before it could be taught again
+        this.memory.seenFactIds.push(fact.factId);
+        if (this.memory.seenFactIds.length > 200) {
+            this.memory.seenFactIds = this.memory.seenFactIds.slice(-200);
+        }
+        this.memory.knownFacts.push({
+            ...fact,
+            timestamp: new Date().toISOString()
+        });
+        
+        // Keep only last 40 facts
+        if (this.memory.knownFacts.length > 40) {
+            this.memory.knownFacts = this.memory.knownFacts.slice(-40);
+        }
+        
+        // Secondhand facts move the opinion of the player too (firsthand ones mostly already did)
+        if (fact.reputationChange) {
+            if (this.memory.playerReputation === undefined) {
+                this.memory.playerReputation = 0;
+            }
+            if (!this.memory.playerInteractions) {
+                this.memory.playerInteractions = [];
+            }
+            
+            this.memory.playerReputation += fact.reputationChange;
+            this.memory.playerInteractions.push({
+                type: fact.source === 'told' ? 'gossip' : fact.source === 'witnessed' ? 'witnessed' : fact.kind,
+                factId: fact.factId,
+                about: fact.summary,
+                toldBy: fact.toldBy?.name || null,
+                impact: fact.reputationChange > 0 ? 'friendly' : 'hostile',
+                reputationChange: fact.reputationChange,
+                timestamp: new Date().toISOString()
+            });
+            
+            // Keep only last 50 player interactions
+            if (this.memory.playerInteractions.length > 50) {
+                this.memory.playerInteractions = this.memory.playerInteractions.slice(-50);
+            }
+            console.log(`[Memory NPC ${this.npcId}] Player reputation: ${this.memory.playerReputation} (${fact.reputationChange > 0 ? '+' : ''}${fact.reputationChange}, ${fact.source})`);
+        }
+        
+        this.saveMemory();
+        return true;
+    }
+    
+    /**
+     * Whether the fact was learned, even if it has since dropped out of knownFacts
+     */
+    knowsFact(factId) {
+        if (!this.memory.seenFactIds) {
+            this.memory.seenFactIds = (this.memory.knownFacts || []).map(fact => fact.factId);
+        }
+        return this.memory.seenFactIds.includes(factId);
+    }
+    
+    getKnownFacts() {
+        return this.memory.knownFacts || [];
+    }
+    
+    /**
+     * Update how this NPC sees another NPC (see RelationshipGraph)
+     * @param {Object} values - { affinity, trust, fear }
+     * @param {Object} event - { type, summary }: what changed it
+     */
+    updateRelationship(otherId, otherName, values, event) {
+        if (!this.memory.relationships) {
+            this.memory.relationships = {};
+        }
+        
+        const entry = this.memory.relationships[otherId] || { npcId: otherId, events: [] };
+        const timestamp = new Date().toISOString();
+        const last = entry.events[entry.events.length - 1];
+        if (last && last.type === event.type && last.summary === event.summary) {
+            // Same thing again (e.g. another line of the same chat)
+            last.count = (last.count || 1) + 1;
+            last.timestamp = timestamp;
+        } else {
+            entry.events.push({ ...event, timestamp: timestamp });
+        }
+        
+        // Keep only last 5 events per NPC
+        if (entry.events.length > 5) {
+            entry.events = entry.events.slice(-5);
+        }
+        
+        this.memory.relationships[otherId] = {
+            ...entry,
+            name: otherName,
+            affinity: values.affinity,
+            trust: values.trust,
+            fear: values.fear,
+            lastUpdated: timestamp
+        };
+        this.saveMemory();
+    }
+    
+    getRelationship(otherId) {
+        return this.memory.relationships?.[otherId] || null;
+    }
+    
+    getRelationships() {
+        return Object.values(this.memory.relationships || {});
+    }
+    
+    /**
+     * Save the NPC's mood (see MoodModel)
+     * @param {Object} mood - { valence, arousal, cause }
+     */
+    recordMood(mood) {
+        this.memory.mood = {
+            ...mood,
+            timestamp: new Date().toISOString()
+        };
+        this.saveMemory();
+    }
+    
+    getMood() {
+        return this.memory.mood || null;
+    }
+    
     /**
      * Get player reputation
      */
@@ -266,6 +486,15 @@ export class NPCMemory {
         if (!this.memory.actionMemory) {
             this.memory.actionMemory = [];
         }
+        if (!this.memory.npcConversations) {
+            this.memory.npcConversations = [];
+        }
+        if (!this.memory.knownFacts) {
+            this.memory.knownFacts = [];
+        }
+        if (!this.memory.relationships) {
+            this.memory.relationships = {};
+        }
         
         return {
             personality: this.memory.personality,
@@ -273,6 +502,9 @@ export class NPCMemory {
             recentPlayerInteractions: (this.memory.playerInteractions || []).slice(-10), // Last 10 player interactions
             recentConversations: (this.memory.conversationHistory || []).slice(-10), // Last 10 player conversations
             recentActions: (this.memory.actionMemory || []).slice(-10), // Last 10 player actions
+            recentNPCConversations: this.memory.npcConversations.slice(-6), // Last 6 lines heard from/said to NPCs
+            knownFacts: this.memory.knownFacts.slice(-5), // Last 5 facts about the player, with provenance
+            relationships: this.getRelationships(), // How this NPC sees the other NPCs
             totalConversations: (this.memory.conversationHistory || []).length,
             totalActions: (this.memory.actionMemory || []).length,
             totalPlayerInteractions: (this.memory.playerInteractions || []).length
@@ -0,0 +1,268 @@
+import * as THREE from 'three';
+
+/**
+ * Perception - What one NPC can actually see
+ * Agents only learn about the player, other NPCs and rocks through this, not
+ * from the game state directly. Something is seen when it is:
+ *
+ * - within view range: viewDistance, shortened by weather (the environment's
+ *   visibility: fog 0.3, rain 0.7) and darkness (dusk/dawn 0.7, night 0.35) -
+ *   unless it stands in the light of a lit lamp;
+ * - inside the view cone around the NPC's heading (the way it last walked, or
+ *   turned to face something it heard or was hit by);
+ * - not hidden behind the hut or a tree (Environment.getOccluders).
+ *
+ * Anything within nearSense is noticed regardless. Searching (for a rock, or
+ * for whoever just threw one) lets the NPC look all around, so the view cone
+ * doesn't apply there. Looking is side-effect free unless the caller asks to
+ * remember what was seen ({ remember: true }: agent context, tools, hits), so
+ * the inspector can peek without moving the last place the player was seen.
+ *
+ * Options (setup data `perception`):
+ * { viewDistance, fieldOfView (degrees), nearSense, lampRadius }
+ */
+
+const DARKNESS = {
+    night: 0.35,
+    dusk: 0.7,
+    dawn: 0.7
+};
+
+export class Perception {
+    constructor(npc, options = {}) {
+        this.npc = npc;
+        this.heading = 0;                          // radians; 0 faces +z
+        this.lastPosition = npc.position.clone();
+        this.lastSeen = new Map();                 // entity id -> { position, time }
+        this.elapsed = 0;
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        this.viewDistance = options.viewDistance ?? this.viewDistance ?? 35;
+        this.fieldOfView = options.fieldOfView ?? this.fieldOfView ?? 150;
+        this.nearSense = options.nearSense ?? this.nearSense ?? 3;
+        this.lampRadius = options.lampRadius ?? this.lampRadius ?? 8;
+    }
+
+    /**
+     * Track the heading from movement (called from NPC.update)
+     */
+    update(delta) {
+        this.elapsed += delta;
+        const dx = this.npc.position.x - this.lastPosition.x;
+        const dz = this.npc.position.z - this.lastPosition.z;
+        if (dx * dx + dz * dz > 1e-4) {
+            this.heading = Math.atan2(dx, dz);
+        }
+        this.lastPosition.copy(this.npc.position);
+    }
+
+    /**
+     * Turn towards something heard or felt
+     */
+    faceTowards(position) {
+        const dx = position.x - this.npc.position.x;
+        const dz = position.z - this.npc.position.z;
+        if (dx !== 0 || dz !== 0) {
+            this.heading = Math.atan2(dx, dz);
+        }
+    }
+
+    /**
+     * How far the NPC can see right now, and why not further
+     * @returns {Object} - { range, visibility, light, limitedBy: [...] }
+     */
+    getConditions() {
+        const environment = this.npc.getEnvironmentState?.() || {};
+        const visibility = environment.visibility ?? 1;
+        const light = DARKNESS[environment.timeOfDay] ?? 1;
+
+        const limitedBy = [];
+        if (visibility < 1) limitedBy.push(environment.isFoggy ? 'fog' : 'rain');
+        if (light < 1) limitedBy.push(environment.timeOfDay === 'night' ? 'darkness' : 'dim light');
+
+        return {
+            range: this.viewDistance * visibility * light,
+            visibility: visibility,
+            light: light,
+            limitedBy: limitedBy
+        };
+    }
+
+    /**
+     * Whether a lit lamp lights up a position
+     */
+    isLit(position) {
+        return (this.npc.game?.lamps || []).some(lamp =>
+            lamp.getState().isOn && horizontalDistance(lamp.position, position) <= this.lampRadius
+        );
+    }
+
+    /**
+     * Can the NPC see a position?
+     * @param {Object} options - { lookAround }: ignore the view cone
+     * @returns {Object} - { visible, distance, reason }
+     */
+    canSee(position, options = {}) {
+        const distance = horizontalDistance(this.npc.position, position);
+        if (distance <= this.nearSense) {
+            return { visible: true, distance, reason: null };
+        }
+
+        const conditions = options.conditions || this.getConditions();
+        const range = conditions.light < 1 && this.isLit(position)
+            ? this.viewDistance * conditions.visibility
+            : conditions.range;
+        if (distance > range) {
+            return { visible: false, distance, reason: conditions.limitedBy.length > 0 ? `too far to see in the ${conditions.limitedBy.join(' and ')}` : 'too far away' };
+        }
+
+        if (!options.lookAround) {
+            const angle = Math.atan2(position.x - this.npc.position.x, position.z - this.npc.position.z);
+            const offset = Math.abs(THREE.MathUtils.euclideanModulo(angle - this.heading + Math.PI, Math.PI * 2) - Math.PI);
+            if (offset > THREE.MathUtils.degToRad(this.fieldOfView) / 2) {
+                return { visible: false, distance, reason: 'behind you' };
+            }
+        }
+
+        const blocker = this.findOccluder(this.npc.position, position);
+        if (blocker) {
+            return { visible: false, distance, reason: `hidden behind the ${blocker.type}` };
+        }
+        return { visible: true, distance, reason: null };
+    }
+
+    /**
+     * First occluder between two points (ignoring one either point stands in)
+     */
+    findOccluder(from, to) {
+        const occluders = this.npc.game?.environment?.getOccluders?.() || [];
+        return occluders.find(occluder => {
+            const center = { x: occluder.x, z: occluder.z };
+            if (horizontalDistance(center, from) <= occluder.radius || horizontalDistance(center, to) <= occluder.radius) {
+                return false;
+            }
+            return segmentDistance(center, from, to) < occluder.radius;
+        }) || null;
+    }
+
+    /**
+     * The player, if seen
+     * @param {Object} options - canSee options, and { remember }: note where the player was seen
+     * @returns {Object|null} - { id: 'player', position, distance }
+     */
+    perceivePlayer(options = {}) {
+        const camera = this.npc.game?.camera;
+        if (!camera) return null;
+        return this.perceiveEntity('player', camera.position, options);
+    }
+
+    perceiveEntity(id, position, options = {}) {
+        const sight = this.canSee(position, options);
+        if (!sight.visible) return null;
+        if (options.remember) {
+            this.lastSeen.set(id, { position: position.clone(), time: this.elapsed });
+        }
+        return { id, position, distance: sight.distance };
+    }
+
+    /**
+     * Where an entity was last seen
+     * @returns {Object|null} - { position, secondsAgo }
+     */
+    getLastSeen(id) {
+        const seen = this.lastSeen.get(id);
+        return seen ? { position: seen.position, secondsAgo: Math.round(this.elapsed - seen.time) } : null;
+    }
+
+    /**
+     * Everything the NPC can see right now, as plain data for the agent context
+     * @param {Object} options - { remember }: note where everyone seen was
+     * @returns {Object} - { player: { position, distance } | null, npcs: [{ id, name, position, distance }],
+     *   rocks: { count, nearest }, conditions }
+     */
+    perceive(options = {}) {
+        const game = this.npc.game;
+        const conditions = this.getConditions();
+        const remember = !!options.remember;
+
+        const player = this.perceivePlayer({ conditions, remember });
+        const npcs = (game?.npcs || [])
+            .filter(other => other !== this.npc)
+            .map(other => {
+                const seen = this.perceiveEntity(other.id, other.position, { conditions, remember });
+                return seen && {
+                    id: other.id,
+                    name: other.getDisplayName(),
+                    position: toPlain(other.position),
+                    distance: round(seen.distance)
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.distance - b.distance);
+        const rocks = this.getVisibleRocks(conditions);
+
+        return {
+            player: player && { position: toPlain(player.position), distance: round(player.distance) },
+            npcs: npcs,
+            rocks: { count: rocks.length, nearest: rocks.length > 0 ? round(horizontalDistance(this.npc.position, rocks[0].position)) : null },
+            conditions: { ...conditions, range: round(conditions.range) }
+        };
+    }
+
+    /**
+     * Uncollected rocks the NPC can spot looking around, nearest first
+     */
+    getVisibleRocks(conditions = this.getConditions()) {
+        return (this.npc.game?.getAvailableRocks() || [])
+            .filter(rock => this.canSee(rock.position, { lookAround: true, conditions }).visible)
+            .sort((a, b) => horizontalDistance(this.npc.position, a.position) - horizontalDistance(this.npc.position, b.position));
+    }
+
+    /**
+     * Position of a thrower ({ id, type } as carried by projectiles)
+     */
+    locate(thrower) {
+        if (!thrower) return null;
+        if (thrower.id === 'player' || thrower.type === 'player') {
+            return this.npc.game?.camera?.position || null;
+        }
+        return (this.npc.game?.npcs || []).find(npc => npc.id === thrower.id)?.position || null;
+    }
+
+    /**
+     * After a hit: turn towards the thrower and see whether they can be made out
+     * @returns {Object|null} - The thrower if seen, else null
+     */
+    identify(thrower) {
+        const position = this.locate(thrower);
+        if (!position) return null;
+        this.faceTowards(position);
+        const id = thrower.id === 'player' || thrower.type === 'player' ? 'player' : thrower.id;
+        return this.perceiveEntity(id, position, { remember: true }) ? thrower : null;
+    }
+}
+
+function round(value) {
+    return Number(value.toFixed(1));
+}
+
+function toPlain(position) {
+    return { x: round(position.x), y: round(position.y), z: round(position.z) };
+}
+
+function horizontalDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+/**
+ * Distance from a point to the segment from-to, on the ground plane
+ */
+function segmentDistance(point, from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq === 0 ? 0 : THREE.MathUtils.clamp(((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSq, 0, 1);
+    return Math.hypot(point.x - (from.x + t * dx), point.z - (from.z + t * dz));
+}
@@ -0,0 +1,200 @@
+import { PLAYER_TEXT_NOTICE } from './PromptSafety.js';
+
+/**
+ * PromptTemplates - The agent's prompts as data
+ * Each prompt is a string with named {{slots}} that NPCAgent fills in from the
+ * event context, so designers can reword or reorder a prompt (or give one NPC
+ * its own voice) without touching NPCAgent:
+ *
+ * {
+ *   version: 2,
+ *   systemInstruction: 'string',   // the provider-level system instruction
+ *   system: 'string',              // world/personality briefing sent with every event
+ *   events: { hit: 'string', ..., default: 'string' }   // the event message, by event type
+ * }
+ *
+ * Per-NPC overrides (the profile's `prompts`, edited in GameSetup) replace any of
+ * these strings. They carry the template version they were written against;
+ * when the defaults move on, the override still applies but a warning is logged
+ * so it can be checked.
+ */
+
+// Bump when a slot is added, renamed or changes meaning
+// v2: {{transcript}} is the delimited <player_message> block, not the bare text
+// v3: npc_speech event ({{speaker}}, {{conversation}}, {{turnsLeft}}) and {{nearbyNPCs}}
+// v4: {{surroundings}} (what the NPC can see)
+// v5: {{mood}}
+// v6: {{relationships}} (how the NPC feels about the other NPCs); {{thrower}} names NPCs
+// v7: witnessed_event event ({{witnessed}}, {{victimFeeling}}, {{guardDuty}})
+export const PROMPT_TEMPLATES_VERSION = 7;
+
+// Slots NPCAgent fills in for each template
+export const PROMPT_SLOTS = {
+    systemInstruction: [],
+    system: ['personality', 'state', 'position', 'plan', 'player', 'environment', 'surroundings', 'reputation', 'mood', 'relationships', 'memory', 'tools', 'toolGuidance'],
+    events: ['eventType', 'eventTools', 'transcript', 'change', 'details', 'thrower', 'hitCount', 'playerDistance', 'nearbyNPCs', 'speaker', 'conversation', 'turnsLeft', 'witnessed', 'victimFeeling', 'guardDuty']
+};
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+    version: PROMPT_TEMPLATES_VERSION,
+
+    systemInstruction: 'You are an NPC agent in a 3D game. You MUST use function calls to interact with the world. Always call at least one function tool when responding to events. Use speak() to communicate, move_to() or navigation tools to move, and interaction tools to interact with objects. After your tools run you receive their results: call more tools if a result changes your plan (for example, move or throw after looking up the player\'s position), or reply without tool calls once you are done. Act according to your personality and backstory. When using speak(), use PLAIN TEXT only - no RPG formatting, asterisks, or narrative descriptions. ' + PLAYER_TEXT_NOTICE,
+
+    system: `{{personality}}
+
+Your current state: {{state}}
+Your position: {{position}}
+{{plan}}{{player}}
+
+{{environment}}
+{{surroundings}}
+
+{{reputation}}
+{{mood}}
+{{relationships}}
+
+IMPORTANT: Your treatment of the player should be based on how they have treated you. If they have been hostile (negative reputation), you may be more cautious, defensive, or retaliatory. If they have been friendly (positive reputation), you may be more welcoming and helpful. Adjust your responses and actions accordingly.
+
+IMPORTANT: You MUST use function calls to interact with the world. You have access to these tools:
+{{tools}}
+
+When responding to events:
+{{toolGuidance}}
+
+Every tool returns a result to you (success, or an error such as having no rocks). If a tool fails, you may try something else or explain yourself with speak().
+
+DO NOT just respond with text - you MUST call function tools to take actions in the world.
+
+IMPORTANT - Response Format:
+- DO NOT include reasoning, thinking, or explanations in your text response
+- DO NOT include function call syntax (like speak("message")) in your text response
+- ONLY use the speak() function tool to communicate - do not write what you would say in the text response
+- When using the speak() tool, use PLAIN TEXT only. Do NOT use RPG-style formatting like "*character says*" or "*character does action*"
+- Do NOT include asterisks, italics, or narrative descriptions in your speech
+- Just speak naturally as the character would, using plain conversational text
+- Example: Instead of "*Elenor says, her voice laced with disapproval*", just say "Very well" or "I understand"
+- Your personality should come through in WHAT you say, not HOW you format it
+- If you need to communicate, ONLY call the speak() function - do not include the message in your text response
+
+{{memory}}
+
+Based on your personality, backstory, player reputation, and the current situation, decide what actions to take and call the appropriate function tools. Remember who you are and how the player has treated you. Act accordingly.`,
+
+    events: {
+        player_query: 'The player nearby said:\n{{transcript}}\n\nYou MUST respond by calling function tools. {{eventTools}} What actions do you take?',
+        environment_change: 'The environment changed: {{change}} ({{details}})\n\nYou MUST react by calling function tools. {{eventTools}} What actions do you take?',
+        hit: 'You were hit by {{thrower}}{{hitCount}}!\n\nYou MUST react by calling function tools. {{eventTools}} What actions do you take?',
+        periodic_check: 'Periodic check: Nothing has happened for a while{{playerDistance}}.{{nearbyNPCs}} What do you want to do now? Use function tools to take actions in the world. {{eventTools}}',
+        npc_speech: '{{speaker}} is talking to you. The conversation so far:\n{{conversation}}\n\n{{turnsLeft}}You may answer with speak(), do something else, or ignore them - whatever your character would do. {{eventTools}} What actions do you take?',
+        witnessed_event: 'You just witnessed this: the player {{witnessed}}.{{victimFeeling}} {{guardDuty}}\n\nYou MUST react by calling function tools. {{eventTools}} What actions do you take?',
+        default: 'Event occurred: {{eventType}}\n\nYou MUST respond by calling function tools. {{eventTools}} What actions do you take?'
+    }
+};
+
+// Event types that share another type's template
+const EVENT_ALIASES = {
+    periodic: 'periodic_check'
+};
+
+export class PromptTemplates {
+    /**
+     * @param {Object} overrides - Partial templates ({ version, systemInstruction, system, events })
+     * @param {string} label - Who the overrides belong to, for log messages
+     */
+    constructor(overrides = null, label = 'default') {
+        this.label = label;
+        this.base = DEFAULT_PROMPT_TEMPLATES;
+        this.overrides = overrides || null;
+
+        this.templates = {
+            ...this.base,
+            ...(overrides?.systemInstruction ? { systemInstruction: overrides.systemInstruction } : {}),
+            ...(overrides?.system ? { system: overrides.system } : {}),
+            events: { ...this.base.events, ...(overrides?.events || {}) }
+        };
+
+        if (overrides) {
+            const errors = validatePromptOverrides(overrides);
+            if (errors.length > 0) {
+                console.warn(`[PromptTemplates] Problems in prompt overrides for ${label}: ${errors.join('; ')}`);
+            }
+            if (overrides.version !== undefined && overrides.version !== this.base.version) {
+                console.warn(`[PromptTemplates] Prompt overrides for ${label} were written for template version ${overrides.version} (current: ${this.base.version}) - check they still fit`);
+            }
+        }
+    }
+
+    /**
+     * e.g. 'v1' or 'v1+custom' - recorded with requests so prompt changes can be told apart
+     */
+    getVersion() {
+        return `v${this.base.version}${this.overrides ? '+custom' : ''}`;
+    }
+
+    renderSystemInstruction(slots = {}) {
+        return renderTemplate(this.templates.systemInstruction, slots);
+    }
+
+    renderSystem(slots) {
+        return renderTemplate(this.templates.system, slots);
+    }
+
+    renderEvent(eventType, slots) {
+        const events = this.templates.events;
+        const template = events[eventType] ?? events[EVENT_ALIASES[eventType]] ?? events.default;
+        return renderTemplate(template, { eventType, ...slots });
+    }
+}
+
+/**
+ * Replace {{slot}} placeholders; slots without a value render empty
+ */
+export function renderTemplate(template, slots = {}) {
+    return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        const value = slots[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Check overrides before they are saved
+ * @returns {Array<string>} - Problems found (empty if none)
+ */
+export function validatePromptOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return ['Prompt overrides must be an object'];
+    }
+
+    const errors = [];
+    const checkTemplate = (key, value, slots) => {
+        if (typeof value !== 'string') {
+            errors.push(`"${key}" must be a string`);
+            return;
+        }
+        const unknown = [...value.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(match => match[1])
+            .filter(name => !slots.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`"${key}" uses unknown slot(s): ${unknown.join(', ')} (available: ${slots.join(', ') || 'none'})`);
+        }
+    };
+
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (key === 'version') {
+            if (!Number.isInteger(value)) errors.push('"version" must be a whole number');
+        } else if (key === 'systemInstruction' || key === 'system') {
+            checkTemplate(key, value, PROMPT_SLOTS[key]);
+        } else if (key === 'events') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push('"events" must be an object of event type -> template');
+                return;
+            }
+            Object.entries(value).forEach(([eventType, template]) => {
+                checkTemplate(`events.${eventType}`, template, PROMPT_SLOTS.events);
+            });
+        } else {
+            errors.push(`Unknown key "${key}" (expected version, systemInstruction, system or events)`);
+        }
+    });
+    return errors;
+}
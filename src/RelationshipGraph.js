@@ -0,0 +1,171 @@
+/**
+ * RelationshipGraph - How the NPCs feel about each other
+ * Each NPC keeps its own view of every other NPC it has had dealings with, in
+ * its NPCMemory, so grudges and friendships last between sessions:
+ *
+ * - affinity: -1 (enemy) to 1 (close friend), starting at 0;
+ * - trust: 0-1, how far it believes what the other says, starting at the
+ *   profile's `trusts` entry (e.g. { Marcus: 0.9, 2: 0.2 }) or defaultTrust.
+ *   SocialKnowledge weighs gossip by it;
+ * - fear: 0-1, starting at 0.
+ *
+ * Views are one-way: Bram hitting Elenor makes Elenor wary of Bram, not Bram
+ * of Elenor. What moves them (see EVENTS):
+ *
+ * - hits: the victim's view of the thrower, and the view of anyone who saw it
+ *   (more so the more they like the victim);
+ * - conversations: every line spoken draws the speaker and its listeners a
+ *   little closer;
+ * - shared events: NPCs who see the player attack one of them side with the
+ *   victim (called from WitnessSystem).
+ *
+ * Options (setup data `relationships`):
+ * { enabled, defaultTrust }
+ */
+
+// How each kind of event moves the holder's view of the other NPC
+const EVENTS = {
+    hit_me: { affinity: -0.3, trust: -0.15, fear: 0.15, summary: (other) => `${other} hit you with a rock` },
+    saw_hit: { affinity: -0.1, trust: -0.05, fear: 0.05, summary: (other, victim) => `you saw ${other} hit ${victim} with a rock` },
+    talked: { affinity: 0.02, trust: 0.01, fear: 0, summary: (other) => `you talked with ${other}` },
+    sympathy: { affinity: 0.08, trust: 0.03, fear: 0, summary: (other) => `you saw the player mistreat ${other}` }
+};
+
+export class RelationshipGraph {
+    constructor(game, options = {}) {
+        this.game = game;
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        this.enabled = options.enabled ?? this.enabled ?? true;
+        this.defaultTrust = options.defaultTrust ?? this.defaultTrust ?? 0.5;
+    }
+
+    /**
+     * How `npc` sees `other` ({ affinity, trust, fear }), defaults if they have had no dealings
+     */
+    getRelationship(npc, other) {
+        const saved = npc.agent?.memory.getRelationship(other.id);
+        if (saved) {
+            return { affinity: saved.affinity, trust: saved.trust, fear: saved.fear };
+        }
+        return { affinity: 0, trust: this.getInitialTrust(npc, other), fear: 0 };
+    }
+
+    getTrust(npc, other) {
+        return this.getRelationship(npc, other).trust;
+    }
+
+    getInitialTrust(npc, other) {
+        const trusts = npc.personality?.trusts || {};
+        const trust = trusts[other.personality?.name] ?? trusts[other.personality?.displayName] ?? trusts[other.id] ?? this.defaultTrust;
+        return clamp(trust, 0, 1);
+    }
+
+    /**
+     * Move `npc`'s view of `other` by an event
+     * @param {string} type - Key of EVENTS
+     * @param {Object} options - { intensity, victim } (victim: name, for saw_hit)
+     */
+    adjust(npc, other, type, options = {}) {
+        const event = EVENTS[type];
+        if (!this.enabled || !event || npc === other || !npc.agent) return null;
+
+        const intensity = options.intensity ?? 1;
+        const current = this.getRelationship(npc, other);
+        const updated = {
+            affinity: clamp(current.affinity + event.affinity * intensity, -1, 1),
+            trust: clamp(current.trust + event.trust * intensity, 0, 1),
+            fear: clamp(current.fear + event.fear * intensity, 0, 1)
+        };
+        const otherName = other.getDisplayName();
+        npc.agent.memory.updateRelationship(other.id, otherName, updated, {
+            type: type,
+            summary: event.summary(otherName, options.victim)
+        });
+        return updated;
+    }
+
+    /**
+     * An NPC threw a rock that hit `victim`: the victim (if it saw who) and
+     * onlookers think less of the thrower
+     * @param {Object} options - { seen }: whether the victim saw who threw it
+     */
+    recordHit(victim, thrower, options = {}) {
+        const throwerNPC = this.findNPC(thrower?.id);
+        if (!this.enabled || !throwerNPC || throwerNPC === victim) return;
+
+        const throwerName = throwerNPC.getDisplayName();
+        if (options.seen !== false) {
+            const updated = this.adjust(victim, throwerNPC, 'hit_me');
+            if (updated) {
+                console.log(`[Relationships] ${victim.getDisplayName()} -> ${throwerName}: ${formatRelationship(updated)} (hit)`);
+            }
+        }
+
+        this.getWitnesses(victim, throwerNPC).forEach(witness => {
+            // Hurting a friend of theirs counts for more
+            const fondness = Math.max(0, this.getRelationship(witness, victim).affinity);
+            const updated = this.adjust(witness, throwerNPC, 'saw_hit', {
+                intensity: 1 + fondness * 2,
+                victim: victim.getDisplayName()
+            });
+            if (updated) {
+                console.log(`[Relationships] ${witness.getDisplayName()} saw ${throwerName} hit ${victim.getDisplayName()}: ${formatRelationship(updated)}`);
+            }
+        });
+    }
+
+    /**
+     * A line was spoken within earshot of the listeners (called from ConversationManager)
+     */
+    recordConversation(speaker, listeners) {
+        if (!this.enabled) return;
+        listeners.forEach(listener => {
+            this.adjust(speaker, listener, 'talked');
+            this.adjust(listener, speaker, 'talked');
+        });
+    }
+
+    /**
+     * NPCs (other than the victim and the thrower) who saw both of them
+     */
+    getWitnesses(victim, thrower) {
+        return this.game.npcs.filter(npc => {
+            if (npc === victim || npc === thrower || !npc.agent || !npc.perception) return false;
+            return npc.perception.canSee(victim.position, { lookAround: true }).visible &&
+                npc.perception.canSee(thrower.position, { lookAround: true }).visible;
+        });
+    }
+
+    findNPC(id) {
+        return this.game.npcs.find(npc => npc.id === id) || null;
+    }
+}
+
+/**
+ * A relationship in words, e.g. "Bram: someone you dislike (affinity -0.30, trust 0.35,
+ * fear 0.15), you are wary of them - last: Bram hit you with a rock"
+ */
+export function describeRelationship(entry) {
+    const feeling = entry.affinity >= 0.5 ? 'a close friend'
+        : entry.affinity >= 0.2 ? 'a friend'
+        : entry.affinity > -0.2 ? 'an acquaintance'
+        : entry.affinity > -0.5 ? 'someone you dislike'
+        : 'someone you hold a grudge against';
+    const fear = entry.fear >= 0.5 ? ', you are afraid of them' : entry.fear >= 0.15 ? ', you are wary of them' : '';
+    // The latest thing that wasn't small talk, if any
+    const events = entry.events || [];
+    const notable = [...events].reverse().find(event => event.type !== 'talked') || events[events.length - 1];
+    const latest = notable ? ` - last: ${notable.summary}` : '';
+    return `${entry.name}: ${feeling} (affinity ${entry.affinity.toFixed(2)}, trust ${entry.trust.toFixed(2)}, fear ${entry.fear.toFixed(2)})${fear}${latest}`;
+}
+
+function formatRelationship(relationship) {
+    return `affinity ${relationship.affinity.toFixed(2)}, trust ${relationship.trust.toFixed(2)}, fear ${relationship.fear.toFixed(2)}`;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,229 @@
+/**
+ * RequestBroker - Shared gatekeeper for outgoing LLM requests
+ * Caps how many requests run at once and how many may start per minute,
+ * retries rate-limited (429) and server (5xx) failures with exponential
+ * backoff, and keeps per-NPC call and token counts for the debug panel.
+ */
+export class RequestBroker {
+    constructor(options = {}) {
+        this.configure(options);
+
+        this.active = 0;
+        this.waiting = [];        // callers waiting for a free slot
+        this.startTimes = [];     // Date.now() of every request started in the last minute
+        this.stats = new Map();   // npcId -> stats (see createStats)
+        this.totals = this.createStats();
+        this.backoffUntil = 0;    // Date.now() until which a 429/5xx retry is backing off
+    }
+
+    /**
+     * Update limits; omitted values keep their current setting
+     */
+    configure(options = {}) {
+        this.maxConcurrent = options.maxConcurrent ?? this.maxConcurrent ?? 2;
+        this.maxPerMinute = options.maxPerMinute ?? this.maxPerMinute ?? 30;
+        this.maxRetries = options.maxRetries ?? this.maxRetries ?? 3;
+        this.baseDelay = options.baseDelay ?? this.baseDelay ?? 1000;  // ms, doubled on every retry
+        this.maxDelay = options.maxDelay ?? this.maxDelay ?? 15000;
+    }
+
+    createStats() {
+        return {
+            calls: 0,
+            failures: 0,
+            retries: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            totalLatency: 0,
+            byKind: {},
+            lastCallAt: null
+        };
+    }
+
+    getStats(npcId) {
+        const key = String(npcId);
+        if (!this.stats.has(key)) {
+            this.stats.set(key, this.createStats());
+        }
+        return this.stats.get(key);
+    }
+
+    /**
+     * Run `task` (a function returning a promise) once a slot is free,
+     * retrying on 429/5xx. `kind` separates agent and sentiment calls in the stats.
+     */
+    async run(task, { npcId = 'global', kind = 'agent', signal } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(signal);
+            const startedAt = Date.now();
+            this.record(npcId, stats => {
+                stats.calls++;
+                stats.byKind[kind] = (stats.byKind[kind] || 0) + 1;
+                stats.lastCallAt = startedAt;
+            });
+
+            let result;
+            try {
+                result = await task();
+            } catch (error) {
+                this.release();
+
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                if (!this.isRetryable(error) || attempt >= this.maxRetries) {
+                    this.record(npcId, stats => stats.failures++);
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                this.backoffUntil = Math.max(this.backoffUntil, Date.now() + delay);
+                this.record(npcId, stats => stats.retries++);
+                console.warn(`[RequestBroker] NPC ${npcId} ${kind} request failed (${error.status}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+                await sleep(delay, signal);
+                continue;
+            }
+
+            this.release();
+            const latency = Date.now() - startedAt;
+            const usage = result?.usage;
+            this.record(npcId, stats => {
+                stats.totalLatency += latency;
+                if (usage) {
+                    stats.promptTokens += usage.promptTokens || 0;
+                    stats.completionTokens += usage.completionTokens || 0;
+                    stats.totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+                }
+            });
+            return result;
+        }
+    }
+
+    /**
+     * Wait until both the concurrency cap and the per-minute limit allow a new request
+     */
+    async acquire(signal) {
+        while (true) {
+            throwIfAborted(signal);
+            this.pruneStartTimes();
+
+            if (this.active < this.maxConcurrent && this.startTimes.length < this.maxPerMinute) {
+                this.active++;
+                this.startTimes.push(Date.now());
+                return;
+            }
+
+            if (this.active >= this.maxConcurrent) {
+                await new Promise(resolve => {
+                    // Woken by release() or an abort; either way the listener goes
+                    const wake = () => {
+                        signal?.removeEventListener('abort', wake);
+                        resolve();
+                    };
+                    this.waiting.push(wake);
+                    signal?.addEventListener('abort', wake, { once: true });
+                });
+            } else {
+                // Rate limited: wait until the oldest request leaves the one-minute window
+                await sleep(this.startTimes[0] + 60000 - Date.now(), signal);
+            }
+        }
+    }
+
+    release() {
+        this.active--;
+        // Wake every waiter; they re-check the limits and all but one go back to waiting
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(resolve => resolve());
+    }
+
+    pruneStartTimes() {
+        const cutoff = Date.now() - 60000;
+        while (this.startTimes.length > 0 && this.startTimes[0] <= cutoff) {
+            this.startTimes.shift();
+        }
+    }
+
+    isRetryable(error) {
+        return error.status === 429 || (error.status >= 500 && error.status < 600);
+    }
+
+    /**
+     * Honor the server's Retry-After when given, otherwise back off exponentially with jitter
+     */
+    getRetryDelay(error, attempt) {
+        if (error.retryAfter) {
+            return Math.min(this.maxDelay, error.retryAfter * 1000);
+        }
+        const delay = this.baseDelay * Math.pow(2, attempt);
+        return Math.min(this.maxDelay, delay * (0.75 + Math.random() * 0.5));
+    }
+
+    /**
+     * Whether a new request would have to wait: backing off after a 429/5xx,
+     * out of per-minute starts, or with callers already queued for a slot
+     */
+    isRateLimited() {
+        this.pruneStartTimes();
+        return Date.now() < this.backoffUntil ||
+            this.startTimes.length >= this.maxPerMinute ||
+            this.waiting.length > 0;
+    }
+
+    record(npcId, update) {
+        update(this.getStats(npcId));
+        update(this.totals);
+    }
+
+    /**
+     * Snapshot of the broker state for the debug panel
+     */
+    getSummary() {
+        this.pruneStartTimes();
+        return {
+            active: this.active,
+            queued: this.waiting.length,
+            startedLastMinute: this.startTimes.length,
+            limits: {
+                maxConcurrent: this.maxConcurrent,
+                maxPerMinute: this.maxPerMinute
+            },
+            totals: { ...this.totals },
+            perNpc: [...this.stats.entries()].map(([npcId, stats]) => ({ npcId, ...stats }))
+        };
+    }
+
+    resetStats() {
+        this.stats.clear();
+        this.totals = this.createStats();
+    }
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            const error = new Error('Request aborted');
+            error.name = 'AbortError';
+            reject(error);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, Math.max(0, ms));
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Shared by every agent so limits apply across all NPCs
+export const requestBroker = new RequestBroker();
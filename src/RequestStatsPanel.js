@@ -0,0 +1,95 @@
+import { escapeHTML } from './HTMLUtils.js';
+
+/**
+ * RequestStatsPanel - Debug overlay for LLM request traffic
+ * Shows the RequestBroker's live load (active/queued/per-minute) and per-NPC
+ * call, retry, failure and token counts. Toggled with the ` (Backquote) key.
+ */
+export class RequestStatsPanel {
+    constructor(broker, game) {
+        this.broker = broker;
+        this.game = game;
+        this.visible = false;
+        this.refreshTimer = null;
+
+        this.element = document.createElement('div');
+        this.element.id = 'request-stats-panel';
+        this.element.style.cssText = `
+            position: absolute;
+            top: 20px;
+            right: 20px;
+            color: white;
+            background: rgba(0, 0, 0, 0.8);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 200;
+            font-family: monospace;
+            font-size: 12px;
+            min-width: 360px;
+            display: none;
+            pointer-events: none;
+        `;
+        document.body.appendChild(this.element);
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.visible = true;
+        this.element.style.display = 'block';
+        this.render();
+        this.refreshTimer = setInterval(() => this.render(), 1000);
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    getNPCName(npcId) {
+        const npc = this.game.npcs.find(n => String(n.id) === String(npcId));
+        return npc ? npc.getDisplayName() : `NPC ${npcId}`;
+    }
+
+    render() {
+        const summary = this.broker.getSummary();
+        const rows = summary.perNpc.map(stats => this.renderRow(this.getNPCName(stats.npcId), stats)).join('');
+
+        this.element.innerHTML = `
+            <div style="font-weight: bold; margin-bottom: 6px;">LLM Requests</div>
+            <div>Active: ${summary.active}/${summary.limits.maxConcurrent} &nbsp; Queued: ${summary.queued} &nbsp; Last minute: ${summary.startedLastMinute}/${summary.limits.maxPerMinute}</div>
+            <table style="margin-top: 8px; border-collapse: collapse; width: 100%;">
+                <tr style="text-align: right; color: #aaa;">
+                    <th style="text-align: left;">NPC</th><th>Calls</th><th>Retry</th><th>Fail</th><th>Tokens in/out</th><th>Avg ms</th>
+                </tr>
+                ${rows || '<tr><td colspan="6" style="color: #aaa;">No requests yet</td></tr>'}
+                ${rows ? this.renderRow('Total', summary.totals, 'border-top: 1px solid #555; font-weight: bold;') : ''}
+            </table>
+        `;
+    }
+
+    renderRow(label, stats, style = '') {
+        const succeeded = stats.calls - stats.failures - stats.retries;
+        const averageLatency = succeeded > 0 ? Math.round(stats.totalLatency / succeeded) : '-';
+        const kinds = Object.entries(stats.byKind).map(([kind, count]) => `${kind}: ${count}`).join(', ');
+
+        return `
+            <tr style="text-align: right; vertical-align: top; ${style}">
+                <td style="text-align: left;">${escapeHTML(label)}${kinds ? `<div style="color: #888; font-size: 10px;">${escapeHTML(kinds)}</div>` : ''}</td>
+                <td>${stats.calls}</td>
+                <td>${stats.retries}</td>
+                <td>${stats.failures}</td>
+                <td>${stats.promptTokens}/${stats.completionTokens}</td>
+                <td>${averageLatency}</td>
+            </tr>
+        `;
+    }
+}
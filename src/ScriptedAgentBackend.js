@@ -0,0 +1,397 @@
+import { LLMProvider, registerProviderType } from './LLMProviders.js';
+
+/**
+ * ScriptedAgentBackend - Offline, deterministic stand-in for the LLM
+ * Turns agent events into tool calls from rule tables keyed on personality
+ * traits and player reputation. Used when no API key is configured, the
+ * network is down, or explicitly selected with { type: 'scripted' }.
+ *
+ * Reads the structured `context` that NPCAgent attaches to every request,
+ * so it never has to parse the prompt text.
+ */
+
+// Lines are picked round-robin, so the same event sequence always yields the same speech
+const LINES = {
+    retaliate: ['You asked for this!', 'Two can play that game, {player}!', 'Take that!'],
+    warn: ['Do that again and you will regret it.', 'That was a mistake, {player}.', 'I will not stand for this.'],
+    hurtFriendly: ['Ow! Why would you do that?', 'Hey! I thought we were friends, {player}.', 'That hurt!'],
+    flee: ['Leave me alone!', 'I want no trouble.', 'Stay away from me!'],
+    hostileHated: ['I have nothing to say to you.', 'Get out of my sight, {player}.', 'Haven\'t you done enough?'],
+    hostile: ['Watch your tongue.', 'There is no need for that.', 'I don\'t appreciate that, {player}.'],
+    lamp: ['Let me get the lamp.', 'Some light would help, yes.'],
+    rock: ['A rock? I can find one.', 'Let me see what I can find.'],
+    warm: ['Good to see you, {player}!', 'Always a pleasure, {player}.', 'Ah, my friend {player}. What can I do for you?'],
+    terse: ['Hm.', 'Yes?', 'What is it?'],
+    neutral: ['Hello, {player}.', 'Greetings, traveler.', 'What brings you here, {player}?'],
+    rain: ['Rain again. Time to find some cover.', 'I had better get out of this rain.'],
+    dark: ['It is getting dark. Let me light the lamp.', 'Night is coming, we need some light.'],
+    weatherTalk: ['The weather is turning.', 'Strange weather today.'],
+    idle: ['A fine day to be out.', 'I wonder what lies beyond those trees.', 'Quiet around here, isn\'t it?'],
+    chat: ['Is that so, {speaker}?', 'You may be right, {speaker}.', 'Hm. I hadn\'t thought of it that way.'],
+    chatEnd: ['Well, I had better get going.', 'Good talking to you, {speaker}.'],
+    guardWarn: ['You there! Leave {victim} alone.', 'That is enough, {player}. I am watching you.'],
+    guardIntervene: ['I warned you, {player}. Step away from {victim}.', 'Not again. Stand down, {player}!'],
+    guardPursue: ['Stop right there, {player}!', 'You will answer for this, {player}!'],
+    defendFriend: ['How dare you treat {victim} like that!', 'Leave {victim} alone, {player}!'],
+    witness: ['Did you see that?', 'Hey! What was that for?', 'That was uncalled for.']
+};
+
+// Offsets cycled through when wandering, so idle movement is repeatable
+const WANDER_OFFSETS = [
+    { x: 4, z: 0 },
+    { x: 0, z: 4 },
+    { x: -4, z: 0 },
+    { x: 0, z: -4 }
+];
+
+const HOSTILE_LABELS = ['hostile', 'threatening', 'negative'];
+
+/**
+ * Rule tables - the first rule whose `when` matches produces the tool calls
+ * Each rule receives a situation object (see buildSituation)
+ */
+const EVENT_RULES = {
+    hit: [
+        {
+            name: 'retaliate',
+            when: s => s.rocks > 0 && s.isBrave && s.throwerId !== null && (s.fromNPC ? s.throwerAffinity < 0.5 : s.reputation <= -10),
+            calls: s => [
+                call('set_expression', { expression: 'Angry' }),
+                call('speak', { message: s.line('retaliate') }),
+                call('throw_rock', { target_id: String(s.throwerId) })
+            ]
+        },
+        {
+            name: 'arm_self',
+            when: s => s.isBrave,
+            calls: s => [
+                call('set_expression', { expression: 'Angry' }),
+                call('speak', { message: s.line('warn') }),
+                call('collect_nearest_rock', {})
+            ]
+        },
+        {
+            name: 'hurt_friend',
+            when: s => s.trait('friendliness') >= 0.6 && s.reputation > -10,
+            calls: s => [
+                call('set_expression', { expression: 'Surprise' }),
+                call('speak', { message: s.line('hurtFriendly') })
+            ]
+        },
+        {
+            name: 'flee',
+            when: () => true,
+            calls: s => [
+                call('set_expression', { expression: 'Frown' }),
+                call('speak', { message: s.line('flee') }),
+                call('move_to', s.retreatPosition())
+            ]
+        }
+    ],
+
+    player_query: [
+        {
+            name: 'hostile_hated',
+            when: s => s.isHostileMessage && s.reputation <= -20,
+            calls: s => [
+                call('set_expression', { expression: 'Angry' }),
+                call('speak', { message: s.line('hostileHated') })
+            ]
+        },
+        {
+            name: 'hostile',
+            when: s => s.isHostileMessage,
+            calls: s => [
+                call('set_expression', { expression: 'Frown' }),
+                call('speak', { message: s.line('hostile') })
+            ]
+        },
+        {
+            name: 'lamp_request',
+            when: s => s.reputation > -10 && s.mentions(['lamp', 'light']),
+            calls: s => [
+                call('speak', { message: s.line('lamp') }),
+                call('interact_with_nearest_lamp', {})
+            ]
+        },
+        {
+            name: 'rock_request',
+            when: s => s.reputation > -10 && s.mentions(['rock', 'stone']),
+            calls: s => [
+                call('speak', { message: s.line('rock') }),
+                call('collect_nearest_rock', {})
+            ]
+        },
+        {
+            name: 'warm',
+            when: s => s.reputation >= 10 && s.trait('friendliness') >= 0.5,
+            calls: s => [
+                call('set_expression', { expression: 'Smile' }),
+                call('speak', { message: s.line('warm') })
+            ]
+        },
+        {
+            name: 'terse',
+            when: s => s.trait('talkativeness') < 0.4,
+            calls: s => [
+                call('set_expression', { expression: 'Neutral' }),
+                call('speak', { message: s.line('terse') })
+            ]
+        },
+        {
+            name: 'neutral',
+            when: () => true,
+            calls: s => [
+                call('set_expression', { expression: 'Neutral' }),
+                call('speak', { message: s.line('neutral') })
+            ]
+        }
+    ],
+
+    environment_change: [
+        {
+            name: 'shelter',
+            when: s => s.eventData.change === 'weather' && s.eventData.current === 'rainy',
+            calls: s => [
+                call('set_expression', { expression: 'Frown' }),
+                ...(s.isTalkative ? [call('speak', { message: s.line('rain') })] : []),
+                call('hide_from_rain', {})
+            ]
+        },
+        {
+            name: 'light_lamp',
+            when: s => s.eventData.change === 'time_of_day' && ['dusk', 'night'].includes(s.eventData.current),
+            calls: s => [
+                ...(s.isTalkative ? [call('speak', { message: s.line('dark') })] : []),
+                call('interact_with_nearest_lamp', {})
+            ]
+        },
+        {
+            name: 'remark',
+            when: s => s.isTalkative,
+            calls: s => [
+                call('speak', { message: s.line('weatherTalk') })
+            ]
+        },
+        {
+            name: 'ignore',
+            when: () => true,
+            calls: () => [
+                call('set_expression', { expression: 'Neutral' })
+            ]
+        }
+    ],
+
+    npc_speech: [
+        {
+            name: 'goodbye',
+            when: s => s.isTalkative && s.eventData.turnsLeft === 1,
+            calls: s => [
+                call('speak', { message: s.line('chatEnd') })
+            ]
+        },
+        {
+            name: 'chat',
+            when: s => s.isTalkative,
+            calls: s => [
+                call('set_expression', { expression: s.trait('friendliness') >= 0.5 ? 'Smile' : 'Neutral' }),
+                call('speak', { message: s.line('chat') })
+            ]
+        },
+        {
+            name: 'ignore',
+            when: () => true,
+            calls: () => [
+                call('set_expression', { expression: 'Neutral' })
+            ]
+        }
+    ],
+
+    witnessed_event: [
+        {
+            name: 'guard_pursue',
+            when: s => s.eventData.response === 'pursue',
+            calls: s => [
+                call('set_expression', { expression: 'Angry' }),
+                call('speak', { message: s.line('guardPursue') }),
+                call('pursue_player', { seconds: 20 })
+            ]
+        },
+        {
+            name: 'guard_intervene',
+            when: s => s.eventData.response === 'intervene',
+            calls: s => [
+                call('set_expression', { expression: 'Angry' }),
+                call('pursue_player', { seconds: 8 }),
+                call('speak', { message: s.line('guardIntervene') })
+            ]
+        },
+        {
+            name: 'guard_warn',
+            when: s => s.eventData.response === 'warn',
+            calls: s => [
+                call('set_expression', { expression: 'Frown' }),
+                call('speak', { message: s.line('guardWarn') })
+            ]
+        },
+        {
+            name: 'defend_friend',
+            when: s => (s.eventData.affinity ?? 0) >= 0.2,
+            calls: s => [
+                call('set_expression', { expression: 'Angry' }),
+                call('speak', { message: s.line('defendFriend') })
+            ]
+        },
+        {
+            name: 'bystander',
+            when: () => true,
+            calls: s => [
+                call('set_expression', { expression: 'Surprise' }),
+                call('speak', { message: s.line('witness') })
+            ]
+        }
+    ],
+
+    periodic: [
+        {
+            name: 'gather',
+            when: s => s.trait('energy') >= 0.7 && s.rocks === 0,
+            calls: () => [
+                call('collect_nearest_rock', {})
+            ]
+        },
+        {
+            name: 'chatter',
+            when: s => s.trait('talkativeness') >= 0.7,
+            calls: s => [
+                call('speak', { message: s.line('idle') })
+            ]
+        },
+        {
+            name: 'wander',
+            when: () => true,
+            calls: s => [
+                call('move_to', s.wanderPosition())
+            ]
+        }
+    ]
+};
+
+function call(name, args) {
+    return { name, args };
+}
+
+/**
+ * ScriptedProvider - LLMProvider that answers from the rule tables above
+ */
+export class ScriptedProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({ type: 'scripted', ...config });
+        this.model = null;
+        this.rules = config.rules || EVENT_RULES;
+        this.lines = config.lines || LINES;
+        this.turn = 0;
+    }
+
+    usesNetwork() {
+        return false;
+    }
+
+    async generate(request) {
+        // Rules act once per event; tool results coming back end the turn
+        const lastMessage = request.messages?.[request.messages.length - 1];
+        if (lastMessage?.role === 'tool') {
+            return { text: '', functionCalls: [] };
+        }
+        return this.decide(request.context);
+    }
+
+    /**
+     * Pick tool calls for an agent context ({ eventType, eventData, npcState, memory, ... })
+     */
+    decide(context) {
+        if (!context) {
+            console.warn('[LLM scripted] Request has no agent context, nothing to do');
+            return { text: '', functionCalls: [] };
+        }
+
+        const eventType = context.eventType === 'periodic_check' ? 'periodic' : context.eventType;
+        const rules = this.rules[eventType] || this.rules.periodic;
+        const situation = this.buildSituation(context);
+        const rule = rules.find(r => r.when(situation));
+        this.turn++;
+
+        if (!rule) {
+            return { text: '', functionCalls: [] };
+        }
+
+        console.log(`[LLM scripted] NPC ${context.npcState?.npcId}: ${eventType} -> rule "${rule.name}"`);
+        return {
+            text: '',
+            functionCalls: rule.calls(situation).map((fc, index) => ({
+                id: `scripted_${this.turn}_${index}`,
+                name: fc.name,
+                args: fc.args
+            }))
+        };
+    }
+
+    /**
+     * Flatten the agent context into the values the rules care about
+     */
+    buildSituation(context) {
+        const memory = context.memory || {};
+        const npcState = context.npcState || {};
+        const eventData = context.eventData || {};
+        const personality = memory.personality || npcState.personality || {};
+        const position = npcState.position || { x: 0, z: 0 };
+        const playerName = context.playerName || 'traveler';
+        const npcId = Number(npcState.npcId) || 0;
+        const turn = this.turn;
+        const lines = this.lines;
+
+        const trait = (name) => {
+            const value = personality.traits?.[name] ?? personality[name];
+            return typeof value === 'number' ? value : 0.5;
+        };
+
+        const thrower = eventData.thrower || {};
+        const transcript = (eventData.transcript || '').toLowerCase();
+        const sentimentLabel = eventData.sentiment?.label || 'neutral';
+
+        return {
+            eventData,
+            trait,
+            reputation: memory.playerReputation || 0,
+            rocks: npcState.inventory?.rocks || 0,
+            throwerId: thrower.id ?? null, // null: the NPC didn't see who threw
+            fromNPC: thrower.type === 'npc',
+            throwerAffinity: (memory.relationships || []).find(entry => entry.npcId === thrower.id)?.affinity ?? 0, // close friends are forgiven
+            isBrave: Math.max(trait('courage'), trait('strength')) >= 0.7,
+            isTalkative: trait('talkativeness') >= 0.5,
+            isHostileMessage: HOSTILE_LABELS.includes(sentimentLabel),
+            mentions: (words) => words.some(word => transcript.includes(word)),
+            line: (key) => {
+                const options = lines[key] || [''];
+                return options[(turn + npcId) % options.length]
+                    .replace('{player}', playerName)
+                    .replace('{speaker}', eventData.speaker?.name || 'friend')
+                    .replace('{victim}', eventData.victim?.name || 'them');
+            },
+            retreatPosition: () => {
+                // Back away from the map centre where the player usually is
+                const length = Math.hypot(position.x, position.z) || 1;
+                return {
+                    x: position.x + (position.x / length) * 8,
+                    z: position.z + (position.z / length) * 8
+                };
+            },
+            wanderPosition: () => {
+                const offset = WANDER_OFFSETS[(turn + npcId) % WANDER_OFFSETS.length];
+                return { x: position.x + offset.x, z: position.z + offset.z };
+            }
+        };
+    }
+}
+
+registerProviderType('scripted', ScriptedProvider);
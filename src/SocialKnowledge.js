@@ -0,0 +1,193 @@
+/**
+ * SocialKnowledge - What NPCs know about the player from each other
+ * Every NPC keeps its own opinion of the player (NPCMemory.playerReputation).
+ * This turns what the player does into facts that travel between NPCs:
+ *
+ * - firsthand: the NPC it happened to (e.g. hit by the player);
+ * - witnessed: NPCs who saw it happen to someone else (or heard it, for words),
+ *   as found by WitnessSystem;
+ * - told: whenever an NPC speaks, each listener in earshot picks up one fact the
+ *   speaker knows and they don't (the most serious first).
+ *
+ * Learning a fact moves the NPC's opinion of the player by the fact's impact,
+ * weighted by how it was learned. Firsthand facts count in full, but the
+ * victim's opinion has usually moved already (NPCMemory records the hit or the
+ * message). Witnessed facts are weighted by WitnessSystem: witnessWeight,
+ * scaled by how much the witness cares about the victim. Told facts are
+ * weighted trust x hopDecay^(hops - 1), where trust is the listener's trust in
+ * whoever told them (RelationshipGraph; without one, 0.5 unless the profile's
+ * `trusts` says otherwise). Facts travel at most maxHops tellings. Each fact
+ * keeps its provenance ("Marcus told you the player threw a rock at Elenor")
+ * so the agent can bring it up.
+ *
+ * Options (setup data `socialKnowledge`):
+ * { enabled, defaultTrust, hopDecay, maxHops, factsPerLine }
+ */
+
+// Kinds of player action that become facts; impact mirrors NPCMemory's reputation changes
+const FACT_KINDS = {
+    hit: { impact: -10, audible: false, summary: name => `threw a rock at ${name}` },
+    theft: { impact: -4, audible: false, summary: name => `snatched the rock ${name} was going for` },
+    threat: { impact: -5, audible: true, summary: name => `threatened ${name}` },
+    insult: { impact: -5, audible: true, summary: name => `insulted ${name}` },
+    manipulation: { impact: -5, audible: true, summary: name => `tried to trick ${name} with strange talk` },
+    kindness: { impact: 2, audible: true, summary: name => `was kind to ${name}` }
+};
+
+// Another action of the same kind against the same NPC within this many game seconds is the same story
+const MERGE_WINDOW = 60;
+
+export class SocialKnowledge {
+    constructor(game, options = {}) {
+        this.game = game;
+        this.elapsed = 0;                // game seconds, see update()
+        this.recentActions = new Map();  // `${kind}:${victimId}` -> when it was last recorded
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        this.enabled = options.enabled ?? this.enabled ?? true;
+        this.defaultTrust = options.defaultTrust ?? this.defaultTrust ?? 0.5;
+        this.hopDecay = options.hopDecay ?? this.hopDecay ?? 0.6;
+        this.maxHops = options.maxHops ?? this.maxHops ?? 3;
+        this.factsPerLine = options.factsPerLine ?? this.factsPerLine ?? 1;
+    }
+
+    /**
+     * Advance game time (called from the game loop)
+     */
+    update(delta) {
+        this.elapsed += delta;
+    }
+
+    static getFactKind(kind) {
+        return FACT_KINDS[kind] || null;
+    }
+
+    /**
+     * Sentiment label of a player message -> fact kind (null if not worth telling)
+     */
+    static kindForSentiment(label) {
+        if (label === 'threatening') return 'threat';
+        if (label === 'hostile' || label === 'negative') return 'insult';
+        if (label === 'friendly' || label === 'positive') return 'kindness';
+        return null;
+    }
+
+    /**
+     * The player did something to `victim`: the victim knows it firsthand and
+     * the witnesses (from WitnessSystem.report) saw it
+     * @param {Object} options - { firsthand }: false when the victim didn't see who did it;
+     *   { firsthandChange }: the victim's reputation change (0 when NPCMemory already recorded it);
+     *   { witnesses }: [{ npc, reputationChange }]
+     * @returns {Object|null} - The fact (null if it is a repeat of a recent one)
+     */
+    recordPlayerAction(victim, kind, options = {}) {
+        const definition = FACT_KINDS[kind];
+        if (!this.enabled || !definition) return null;
+
+        // Kept here rather than in the victim's memory, which misses what it didn't see
+        const key = `${kind}:${victim.id}`;
+        const last = this.recentActions.get(key);
+        if (last !== undefined && this.elapsed - last < MERGE_WINDOW) return null;
+        this.recentActions.set(key, this.elapsed);
+
+        const victimName = victim.getDisplayName();
+        const fact = {
+            factId: `fact_${Date.now().toString(36)}_${victim.id}_${kind}`,
+            kind: kind,
+            summary: definition.summary(victimName),
+            impact: definition.impact,
+            victimId: victim.id,
+            victimName: victimName
+        };
+
+        if (options.firsthand !== false) {
+            victim.agent?.memory.learnFact({ ...fact, source: 'firsthand', chain: [], reputationChange: options.firsthandChange ?? 0 });
+        }
+
+        (options.witnesses || []).forEach(({ npc: witness, reputationChange }) => {
+            console.log(`[Social] ${witness.getDisplayName()} saw that the player ${fact.summary} (${formatChange(reputationChange)})`);
+            witness.agent.memory.learnFact({ ...fact, source: 'witnessed', chain: [], reputationChange });
+        });
+        return fact;
+    }
+
+    /**
+     * The speaker talked within earshot of the listeners: each listener learns
+     * what the speaker knows and they don't (called from ConversationManager)
+     */
+    share(speaker, listeners) {
+        if (!this.enabled || !speaker.agent) return;
+
+        const known = speaker.agent.memory.getKnownFacts()
+            .filter(entry => entry.chain.length < this.maxHops)
+            .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact) || Date.parse(b.timestamp) - Date.parse(a.timestamp));
+        if (known.length === 0) return;
+
+        const speakerName = speaker.getDisplayName();
+        listeners.forEach(listener => {
+            const memory = listener.agent?.memory;
+            if (!memory) return;
+
+            known
+                .filter(entry => !memory.knowsFact(entry.factId))
+                .slice(0, this.factsPerLine)
+                .forEach(entry => {
+                    const chain = [speakerName, ...entry.chain];
+                    const weight = this.getTrust(listener, speaker) * Math.pow(this.hopDecay, chain.length - 1);
+                    const reputationChange = Math.round(entry.impact * weight);
+                    console.log(`[Social] ${speakerName} told ${listener.getDisplayName()} the player ${entry.summary} (${formatChange(reputationChange)})`);
+                    memory.learnFact({
+                        factId: entry.factId,
+                        kind: entry.kind,
+                        summary: entry.summary,
+                        impact: entry.impact,
+                        victimId: entry.victimId,
+                        victimName: entry.victimName,
+                        source: 'told',
+                        toldBy: { id: speaker.id, name: speakerName },
+                        chain: chain,
+                        reputationChange: reputationChange
+                    });
+                });
+        });
+    }
+
+    /**
+     * How much `listener` believes what `speaker` says (0-1)
+     */
+    getTrust(listener, speaker) {
+        if (this.game.relationships) {
+            return this.game.relationships.getTrust(listener, speaker);
+        }
+        const trusts = listener.personality?.trusts || {};
+        const trust = trusts[speaker.personality?.name] ?? trusts[speaker.personality?.displayName] ?? trusts[speaker.id] ?? this.defaultTrust;
+        return Math.min(1, Math.max(0, trust));
+    }
+}
+
+/**
+ * Where a fact came from, from the knower's point of view, e.g.
+ * "Marcus told you (who heard it from Bram) the player threw a rock at Elenor"
+ */
+export function describeFact(entry, selfId = null) {
+    const about = entry.victimId === selfId
+        ? entry.summary.replace(entry.victimName, 'you')
+        : entry.summary;
+    switch (entry.source) {
+        case 'firsthand':
+            return `the player ${about}`;
+        case 'witnessed':
+            return `you saw that the player ${about}`;
+        default: {
+            const [teller, ...rest] = entry.chain;
+            const heardFrom = rest.length > 0 ? ` (who heard it from ${rest.join(', who heard it from ')})` : '';
+            return `${teller} told you${heardFrom} the player ${about}`;
+        }
+    }
+}
+
+function formatChange(change) {
+    return `${change > 0 ? '+' : ''}${change} reputation`;
+}
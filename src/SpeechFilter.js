@@ -0,0 +1,203 @@
+import { toolRegistry } from './ToolRegistry.js';
+
+/**
+ * SpeechFilter - Post-processing for everything an NPC agent says
+ * The system prompt asks for plain, in-character speech, but models still
+ * return "*sighs heavily*" narration, monologues or assistant-speak. Every
+ * message goes through filter() before it reaches NPC.speak:
+ *
+ * 1. Stage directions (*...*, _..._, [...], (sighs), "Name:" speaker labels,
+ *    quotes around the whole line, speak("...") syntax) are stripped.
+ * 2. Out-of-character text ("As an AI language model...", talk about tools or
+ *    prompts, calls to any tool in the toolRegistry, configured forbidden
+ *    phrases) rejects the message.
+ * 3. Profanity is masked (or rejects, with profanity: { mode: 'reject' });
+ *    blockedPatterns always reject. Words match whole (plus common endings) and
+ *    the default list leaves out words that are also names or everyday words
+ *    ("Dick", "cock the crossbow"); a profile can add them with profanity.extraWords.
+ * 4. Long messages are cut at the last sentence that fits maxLength.
+ *
+ * A rejected message isn't spoken; speak() returns the reason as a tool error
+ * so the model can say it again in character on its next turn.
+ *
+ * Options (setup data or profile `speechFilter`):
+ * { enabled, maxLength, profanity: { mode: 'mask' | 'reject' | 'off', words, extraWords }, blockedPatterns, forbiddenPhrases }
+ * (words replaces the default list, extraWords adds to it)
+ * NPCAgent adds speakerNames (the NPC's names) for label stripping.
+ */
+
+const DEFAULT_MAX_LENGTH = 280;
+
+const DEFAULT_PROFANITY = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'piss', 'whore', 'slut'];
+
+// Assistant/meta talk that no villager would say
+const OUT_OF_CHARACTER_PATTERNS = [
+    /\bas an? (ai|artificial intelligence|language model|large language model|assistant|npc)\b/i,
+    /\b(i'?m|i am) (just )?an? (ai|language model|chatbot|virtual assistant|npc|game character)\b/i,
+    /\b(language model|system prompt|my instructions|my programming|function call|tool call)\b/i,
+    /\bI (can(no|')t|am unable to) (assist|help) with (that|this) request\b/i
+];
+
+// Short parenthesized asides that read as narration: (sighs), (looks away)
+const NARRATION_VERBS = 'sigh|sighs|laugh|laughs|chuckle|chuckles|grin|grins|smile|smiles|frown|frowns|nod|nods|shrug|shrugs|pause|pauses|look|looks|glance|glances|whisper|whispers|mutter|mutters|growl|growls|scoff|scoffs|huff|huffs|clears|cough|coughs';
+
+export class SpeechFilter {
+    /**
+     * @param {Object} options - See the module comment
+     * @param {string} label - Owner, for log messages
+     */
+    constructor(options = {}, label = 'Speech') {
+        this.label = label;
+        this.enabled = options.enabled !== false;
+        this.maxLength = options.maxLength || DEFAULT_MAX_LENGTH;
+        this.profanityMode = options.profanity?.mode || 'mask';
+        this.profanity = buildWordPattern([
+            ...(options.profanity?.words || DEFAULT_PROFANITY),
+            ...(options.profanity?.extraWords || [])
+        ]);
+        this.blockedPatterns = (options.blockedPatterns || []).map(pattern => toRegExp(pattern));
+        this.forbiddenPhrases = (options.forbiddenPhrases || []).map(phrase => String(phrase).toLowerCase());
+        this.speakerLabel = buildSpeakerLabelPattern(options.speakerNames || []);
+    }
+
+    /**
+     * Clean a message for speaking
+     * @param {string} message
+     * @param {Object} options - { partial }: the message is still streaming in, so
+     *   an unclosed stage direction is hidden until it closes
+     * @returns {Object} - { text, rejected, reason, changes: [...] }
+     */
+    filter(message, options = {}) {
+        const original = String(message ?? '');
+        if (!this.enabled) {
+            return { text: original.trim(), rejected: false, reason: null, changes: [] };
+        }
+
+        const changes = [];
+        let text = stripStageDirections(original, this.speakerLabel, options.partial);
+        if (text !== original.trim()) {
+            changes.push('stage directions');
+        }
+
+        const outOfCharacter = this.findOutOfCharacter(text);
+        if (outOfCharacter) {
+            return reject(`it breaks character ("${outOfCharacter}")`, changes);
+        }
+
+        const blocked = this.blockedPatterns.find(pattern => pattern.test(text));
+        if (blocked) {
+            return reject('it contains blocked content', changes);
+        }
+
+        if (this.profanity && this.profanityMode !== 'off') {
+            this.profanity.lastIndex = 0;
+            if (this.profanity.test(text)) {
+                if (this.profanityMode === 'reject') {
+                    return reject('it contains profanity', changes);
+                }
+                text = text.replace(this.profanity, word => `${word[0]}${'*'.repeat(word.length - 1)}`);
+                changes.push('profanity');
+            }
+        }
+
+        if (text.length > this.maxLength) {
+            text = truncateAtSentence(text, this.maxLength);
+            changes.push('length');
+        }
+
+        if (!text && !options.partial && original.trim()) {
+            return reject('nothing is left once narration and stage directions are removed', changes);
+        }
+
+        return { text, rejected: false, reason: null, changes };
+    }
+
+    findOutOfCharacter(text) {
+        for (const pattern of OUT_OF_CHARACTER_PATTERNS) {
+            const match = pattern.exec(text);
+            if (match) return match[0];
+        }
+        const toolCall = toolRegistry.getCallPattern()?.exec(text);
+        if (toolCall) return toolCall[0];
+        const lower = text.toLowerCase();
+        return this.forbiddenPhrases.find(phrase => lower.includes(phrase)) || null;
+    }
+
+    /**
+     * Tool error telling the model why its speech was not spoken
+     */
+    describeRejection(result) {
+        return `Your speech was not spoken because ${result.reason}. Say it again with speak() as your character would: plain spoken words only, no narration or stage directions, at most ${this.maxLength} characters.`;
+    }
+}
+
+function reject(reason, changes) {
+    return { text: '', rejected: true, reason, changes };
+}
+
+/**
+ * Remove narration around and inside the spoken words
+ */
+function stripStageDirections(message, speakerLabel, partial = false) {
+    let text = String(message).trim();
+
+    // Function syntax the model copied into its speech: speak("...")
+    const call = /^speak\s*\(\s*["'`]([\s\S]*?)["'`]\s*\)?\s*;?$/i.exec(text);
+    if (call) {
+        text = call[1];
+    }
+
+    text = text
+        .replace(/\*+[^*]*\*+/g, ' ')                     // *sighs*, **walks away**
+        .replace(/(^|\s)_[^_]+_(?=\s|$|[.,!?])/g, ' ')     // _looks around_
+        .replace(/\[[^\]]*\]/g, ' ')                      // [angrily]
+        .replace(new RegExp(`\\((?:[^()]*\\s)?(?:${NARRATION_VERBS})\\b[^()]*\\)`, 'gi'), ' ');
+
+    if (partial) {
+        // A direction that hasn't closed yet
+        text = text.replace(/\*[^*]*$/, '').replace(/\[[^\]]*$/, '');
+    } else {
+        text = text.replace(/\*/g, '');
+    }
+
+    // "Elenor: Hello" / "Elenor says: Hello"
+    text = text.replace(speakerLabel, '');
+
+    text = text.replace(/\s+/g, ' ').replace(/\s+([.,!?;:])/g, '$1').trim();
+
+    // Quotes around the whole line (while streaming, the closing one may not be there yet)
+    const quoted = (partial ? /^["“]([^"“”]*)["”]?$/ : /^["“]([^"“”]*)["”]$/).exec(text);
+    if (quoted) {
+        text = quoted[1].trim();
+    }
+    return text;
+}
+
+/**
+ * Cut at the last sentence end within maxLength, or the last word with "..."
+ */
+function truncateAtSentence(text, maxLength) {
+    const head = text.slice(0, maxLength);
+    const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '));
+    if (sentenceEnd > maxLength / 3) {
+        return head.slice(0, sentenceEnd + 1);
+    }
+    const wordEnd = head.slice(0, maxLength - 3).lastIndexOf(' ');
+    return `${head.slice(0, wordEnd > 0 ? wordEnd : maxLength - 3).replace(/[,;:\s]+$/, '')}...`;
+}
+
+function buildSpeakerLabelPattern(names) {
+    const escaped = ['NPC', ...names].filter(Boolean).map(name => String(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^\\s*(${escaped.join('|')})(\\s*\\d+)?(\\s+(says|said|replies|shouts|whispers|mutters))?\\s*:\\s*`, 'i');
+}
+
+function buildWordPattern(words) {
+    const escaped = words.filter(Boolean).map(word => String(word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (escaped.length === 0) return null;
+    // Also catch common endings: shits, fucking, bastards
+    return new RegExp(`\\b(${escaped.join('|')})(s|es|ed|er|ers|ing|y)?\\b`, 'gi');
+}
+
+function toRegExp(pattern) {
+    return pattern instanceof RegExp ? pattern : new RegExp(String(pattern), 'i');
+}
@@ -0,0 +1,174 @@
+/**
+ * SpeechStream - Speaks a model response while it is still streaming in
+ * Plain response text and speak() messages are shown in the NPC's speech bubble
+ * as they grow, and each finished sentence is queued to text-to-speech right
+ * away instead of after the whole response (and every tool call before it) is done.
+ *
+ * Only speech that comes before any other action is streamed: once the response
+ * calls something like move_to, later speech waits for its turn in the plan so
+ * "walk over, then talk" still talks on arrival. set_expression doesn't count
+ * as an action here. finish() marks what was already spoken on the response so
+ * executeResponse doesn't say it twice.
+ *
+ * With a SpeechFilter, streamed text is cleaned the same way as speak() cleans
+ * it. If it turns out to break character, the NPC stops and the call is left
+ * unmarked, so speak() rejects it and the model is asked to try again.
+ */
+export class SpeechStream {
+    constructor(npc, options = {}) {
+        this.npc = npc;
+        this.bubbleDuration = options.bubbleDuration || 5000;
+        this.filter = options.filter || null;
+        this.blocked = false;          // an action came first, so the rest is spoken in plan order
+        this.segment = null;           // { key, text, spokenLength, rejected } being spoken
+        this.spokenCalls = new Set();  // indexes of speak() calls already spoken
+        this.spokenText = false;       // whether the plain response text was already spoken
+        this.started = false;
+    }
+
+    /**
+     * Handlers for LLMProvider.generateStream
+     */
+    getHandlers() {
+        return {
+            onText: (delta, text) => {
+                this.update('text', text);
+            },
+            onFunctionCallProgress: ({ index, name, argumentsText }) => {
+                if (name === 'speak') {
+                    const message = extractPartialMessage(argumentsText);
+                    if (message !== null) {
+                        this.update(index, message);
+                    }
+                } else if (name) {
+                    this.observeAction(name);
+                }
+            },
+            onFunctionCall: (functionCall, index) => {
+                if (functionCall.name === 'speak' && typeof functionCall.args?.message === 'string') {
+                    if (this.update(index, functionCall.args.message)) {
+                        this.finishSegment();
+                    }
+                } else {
+                    this.observeAction(functionCall.name);
+                }
+            }
+        };
+    }
+
+    observeAction(name) {
+        if (name === 'set_expression' || this.blocked) return;
+        this.blocked = true;
+        this.finishSegment();
+    }
+
+    /**
+     * Show the text so far and queue any completed sentences
+     * @returns {boolean} - Whether this text is being streamed
+     */
+    update(key, text) {
+        if (this.segment?.key !== key) {
+            if (this.blocked) return false;
+            this.finishSegment();
+            this.segment = { key, text: '', spokenLength: 0, rejected: false };
+        }
+        if (this.segment.rejected) return false;
+
+        const filtered = this.filter ? this.filter.filter(text, { partial: true }) : { text };
+        if (filtered.rejected) {
+            console.warn(`[NPC ${this.npc.id}] Stopped streaming speech: ${filtered.reason}`);
+            this.segment.rejected = true;
+            if (this.segment.spokenLength > 0 || this.segment.text) {
+                this.npc.stopSpeaking();
+                this.npc.hideSpeechBubbleAfter(0);
+            }
+            return false;
+        }
+        if (!filtered.text.trim()) {
+            return true; // Only narration so far
+        }
+
+        if (!this.started) {
+            // Whatever the NPC was saying before this response is cut off
+            this.npc.stopSpeaking();
+            this.started = true;
+        }
+        this.segment.text = filtered.text;
+        this.npc.showSpeechBubble(filtered.text.trim());
+        this.speakSentences(false);
+        return true;
+    }
+
+    speakSentences(final) {
+        const segment = this.segment;
+        const pending = segment.text.slice(segment.spokenLength);
+
+        let end = final ? pending.length : 0;
+        if (!final) {
+            const sentenceEnd = /[.!?…]+["')\]]*\s/g;
+            let match;
+            while ((match = sentenceEnd.exec(pending))) {
+                end = match.index + match[0].length;
+            }
+        }
+        if (end === 0) return;
+
+        const sentence = pending.slice(0, end).trim();
+        if (sentence) {
+            this.npc.speakText(sentence, { queue: true });
+        }
+        segment.spokenLength += end;
+    }
+
+    finishSegment() {
+        if (!this.segment) return;
+        if (this.segment.rejected || !this.segment.text.trim()) {
+            // Nothing usable was spoken; speak() handles (and rejects) it
+            this.segment = null;
+            return;
+        }
+
+        this.speakSentences(true);
+        this.npc.hideSpeechBubbleAfter(this.bubbleDuration);
+        if (this.segment.key === 'text') {
+            this.spokenText = true;
+        } else {
+            this.spokenCalls.add(this.segment.key);
+        }
+        this.segment = null;
+    }
+
+    /**
+     * Finish speaking and mark the response: speak calls that were already spoken
+     * get `streamed: true`, and `textStreamed` is set if the text was
+     */
+    finish(response) {
+        this.finishSegment();
+        if (!response) return response;
+
+        (response.functionCalls || []).forEach((functionCall, index) => {
+            if (this.spokenCalls.has(index)) {
+                functionCall.streamed = true;
+            }
+        });
+        response.textStreamed = this.spokenText;
+        return response;
+    }
+}
+
+/**
+ * The "message" argument from a possibly incomplete JSON arguments string
+ * @returns {string|null} - null until the message has started
+ */
+function extractPartialMessage(argumentsText) {
+    const match = /"message"\s*:\s*"((?:[^"\\]|\\.)*)(\\?)/.exec(argumentsText || '');
+    if (!match) return null;
+
+    // Drop a trailing incomplete escape (e.g. `\` or `\u00`) until the rest arrives
+    const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    try {
+        return JSON.parse(`"${raw}"`);
+    } catch (error) {
+        return null;
+    }
+}
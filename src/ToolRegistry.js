@@ -0,0 +1,153 @@
+import { validateToolArguments, formatValidationErrors } from './ToolValidation.js';
+
+/**
+ * ToolRegistry - Single source of truth for the actions NPC agents can take
+ * Each tool declares everything the agent needs about it, so the model
+ * declaration, the prompt listing and the dispatch all come from one place:
+ *
+ * {
+ *   name: 'open_door',
+ *   description: 'string',                       // sent to the model
+ *   parameters: { type: 'object', properties, required },   // JSON schema, arguments are validated against it
+ *   guidance: 'string',                          // optional line in the system prompt's tool rules
+ *   eventHints: { hit: 'string', ... },          // optional per-event advice in the event message
+ *   stepType: 'walk' | 'act' | 'speak' | 'wait', // how the call shows up in the NPC's plan (default 'act')
+ *   isAvailable: (agent) => boolean,             // optional, defaults to always available
+ *   validate: (args, agent) => [{ field, message }],   // optional checks beyond the schema
+ *   handler: (args, agent) => result             // may be async; returns { success, ... } or { success: false, error }
+ * }
+ *
+ * Game code or mods can add tools with toolRegistry.register(...) without touching NPCAgent.
+ */
+export class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+        this.callPattern = null; // built on demand, see getCallPattern
+    }
+
+    /**
+     * Add a tool (replacing any existing tool with the same name)
+     */
+    register(tool) {
+        if (!tool?.name || typeof tool.handler !== 'function') {
+            throw new Error('A tool needs a name and a handler function');
+        }
+        if (this.tools.has(tool.name)) {
+            console.warn(`[ToolRegistry] Replacing existing tool: ${tool.name}`);
+        }
+
+        this.tools.set(tool.name, {
+            description: '',
+            parameters: { type: 'object', properties: {}, required: [] },
+            ...tool
+        });
+        this.callPattern = null;
+        return this;
+    }
+
+    unregister(name) {
+        this.callPattern = null;
+        return this.tools.delete(name);
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    getAll() {
+        return [...this.tools.values()];
+    }
+
+    /**
+     * Tools the given agent may use right now
+     */
+    getAvailable(agent) {
+        return this.getAll().filter(tool => this.isAvailable(tool, agent));
+    }
+
+    isAvailable(tool, agent) {
+        if (!tool.isAvailable) return true;
+        try {
+            return tool.isAvailable(agent) !== false;
+        } catch (error) {
+            console.warn(`[ToolRegistry] isAvailable failed for ${tool.name}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Model-facing declarations ({ name, description, parameters }) for an agent
+     */
+    getDefinitions(agent) {
+        return this.getAvailable(agent).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }));
+    }
+
+    /**
+     * Call-style signature for prompts, e.g. "move_to(x, z)"
+     */
+    static getSignature(tool) {
+        const required = tool.parameters?.required || [];
+        return `${tool.name}(${required.join(', ')})`;
+    }
+
+    /**
+     * Pattern matching call syntax for any registered tool, e.g. "throw_rock(" - for
+     * spotting tool calls leaked into speech or written into player messages
+     */
+    getCallPattern() {
+        if (!this.callPattern) {
+            // Plain-word names ("wait") only right before the bracket, so "Wait (please)" is still speech
+            const calls = [...this.tools.keys()].map(name => {
+                const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return name.includes('_') ? `${escaped}\\s*` : escaped;
+            });
+            this.callPattern = calls.length > 0 ? new RegExp(`\\b(?:${calls.join('|')})\\(`, 'i') : null;
+        }
+        return this.callPattern;
+    }
+
+    /**
+     * Validate the arguments and run a tool's handler
+     * @returns {Object} - The handler's result, or { success: false, error, validationErrors? } if the tool can't run.
+     *   Arguments that had to be adjusted (e.g. clamped) are listed in the result's `adjustments`.
+     */
+    async execute(name, args, agent) {
+        const tool = this.get(name);
+        if (!tool) {
+            return { success: false, error: `Unknown tool: ${name}` };
+        }
+        if (!this.isAvailable(tool, agent)) {
+            return { success: false, error: `${name} is not available right now` };
+        }
+
+        const validation = validateToolArguments(tool.parameters, args);
+        if (validation.valid && tool.validate) {
+            validation.errors = tool.validate(validation.args, agent) || [];
+            validation.valid = validation.errors.length === 0;
+        }
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: formatValidationErrors(name, validation.errors),
+                validationErrors: validation.errors
+            };
+        }
+
+        const result = await tool.handler(validation.args, agent);
+        if (validation.adjustments.length > 0 && result && typeof result === 'object') {
+            return { ...result, adjustments: validation.adjustments };
+        }
+        return result;
+    }
+}
+
+// Shared by every agent; default tools are registered in DefaultTools.js
+export const toolRegistry = new ToolRegistry();
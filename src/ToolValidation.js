@@ -0,0 +1,131 @@
+/**
+ * ToolValidation - Checks model-supplied tool arguments against a tool's JSON schema
+ * Supports the subset of JSON schema the tools use: object properties with
+ * type (number, integer, string, boolean), required, enum and minimum/maximum.
+ *
+ * Lenient where models commonly slip (numeric strings for numbers, numbers for
+ * string IDs, enum values in the wrong case), strict everywhere else: anything
+ * it can't interpret becomes a validation error for the model to fix instead
+ * of a silent default.
+ */
+
+/**
+ * Validate and normalize arguments
+ * @returns {Object} - { valid, args, errors: [{ field, message }], adjustments: ['string'] }
+ */
+export function validateToolArguments(schema = {}, rawArgs = {}) {
+    const errors = [];
+    const adjustments = [];
+    const args = {};
+
+    if (rawArgs === null || typeof rawArgs !== 'object' || Array.isArray(rawArgs)) {
+        return {
+            valid: false,
+            args: {},
+            errors: [{ field: null, message: 'Arguments must be an object' }],
+            adjustments
+        };
+    }
+
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+
+    required.forEach(field => {
+        if (isMissing(rawArgs[field])) {
+            errors.push({ field, message: `Missing required argument "${field}"` });
+        }
+    });
+
+    Object.entries(properties).forEach(([field, propertySchema]) => {
+        const value = rawArgs[field];
+        if (isMissing(value)) return;
+
+        const result = validateValue(field, value, propertySchema);
+        if (result.error) {
+            errors.push({ field, message: result.error });
+            return;
+        }
+        if (result.adjustment) {
+            adjustments.push(result.adjustment);
+        }
+        args[field] = result.value;
+    });
+
+    Object.keys(rawArgs).forEach(field => {
+        if (!properties[field]) {
+            adjustments.push(`Ignored unknown argument "${field}"`);
+        }
+    });
+
+    return { valid: errors.length === 0, args, errors, adjustments };
+}
+
+/**
+ * One-line summary of validation errors, e.g. for the tool result's `error`
+ */
+export function formatValidationErrors(toolName, errors) {
+    return `Invalid arguments for ${toolName}: ${errors.map(e => e.message).join('; ')}`;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function validateValue(field, value, schema) {
+    switch (schema.type) {
+        case 'number':
+        case 'integer':
+            return validateNumber(field, value, schema);
+        case 'string':
+            return validateString(field, value, schema);
+        case 'boolean':
+            return validateBoolean(field, value);
+        default:
+            return { value };
+    }
+}
+
+function validateNumber(field, value, schema) {
+    let number = value;
+    if (typeof number === 'string' && number.trim() !== '') {
+        number = Number(number);
+    }
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `"${field}" must be a number, got ${JSON.stringify(value)}` };
+    }
+    if (schema.type === 'integer' && !Number.isInteger(number)) {
+        return { error: `"${field}" must be a whole number, got ${number}` };
+    }
+
+    // Out-of-range values are clamped rather than rejected (e.g. coordinates off the map edge)
+    const clamped = Math.min(schema.maximum ?? Infinity, Math.max(schema.minimum ?? -Infinity, number));
+    if (clamped !== number) {
+        return { value: clamped, adjustment: `"${field}" clamped from ${number} to ${clamped}` };
+    }
+    return { value: number };
+}
+
+function validateString(field, value, schema) {
+    let string = value;
+    if (typeof string === 'number' && Number.isFinite(string)) {
+        string = String(string);
+    }
+    if (typeof string !== 'string') {
+        return { error: `"${field}" must be a string, got ${JSON.stringify(value)}` };
+    }
+
+    if (schema.enum) {
+        const match = schema.enum.find(option => option.toLowerCase() === string.trim().toLowerCase());
+        if (!match) {
+            return { error: `"${field}" must be one of ${schema.enum.map(o => `"${o}"`).join(', ')}, got "${string}"` };
+        }
+        return { value: match };
+    }
+    return { value: string };
+}
+
+function validateBoolean(field, value) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: `"${field}" must be true or false, got ${JSON.stringify(value)}` };
+}
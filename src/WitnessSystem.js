@@ -0,0 +1,172 @@
+import { SocialKnowledge } from './SocialKnowledge.js';
+
+/**
+ * WitnessSystem - Who sees the player misbehave, and what they do about it
+ * Everything the player does to an NPC is reported here (report()): a rock
+ * hitting them, snatching the rock they were going for, a threat or an insult -
+ * or a kind word. Every other NPC that perceives it (sees both the victim and
+ * the player; for words, is within earshot of the player) is a witness:
+ *
+ * - it learns the act as a fact (SocialKnowledge), and its opinion of the
+ *   player moves by the act's impact x witnessWeight x (1 + its affinity for the
+ *   victim), kept between 0.25x and 2x: an enemy of the victim barely minds, a
+ *   close friend takes it personally;
+ * - hostile acts make it side with the victim (RelationshipGraph) and give its
+ *   agent a 'witnessed_event' to react to.
+ *
+ * Guards (profile `role: 'guard'`, or duty 0.8 and up - e.g. Marcus) take any
+ * hostile act as their business (at least 1x) and are told how to respond,
+ * escalating with the player's offences in the last offenceWindow seconds:
+ * warn the player, then intervene, then pursue - straight away if the player
+ * is already at -20 or below with them.
+ *
+ * Options (setup data `witnesses`):
+ * { enabled, witnessWeight, hearingRange, offenceWindow }
+ */
+
+export const WITNESSED_EVENT = 'witnessed_event';
+
+// Guard responses by number of recent offences (the last one repeats)
+const GUARD_RESPONSES = ['warn', 'intervene', 'pursue'];
+
+// Reputation at or below which a guard gives chase on sight
+const PURSUE_REPUTATION = -20;
+
+export class WitnessSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+        this.offences = []; // { kind, victimId, time } of hostile acts by the player
+        this.elapsed = 0;   // game seconds, see update()
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        this.enabled = options.enabled ?? this.enabled ?? true;
+        this.witnessWeight = options.witnessWeight ?? this.witnessWeight ?? 0.6;
+        this.hearingRange = options.hearingRange ?? this.hearingRange ?? 15;
+        this.offenceWindow = options.offenceWindow ?? this.offenceWindow ?? 120; // game seconds
+    }
+
+    /**
+     * Advance game time (called from the game loop)
+     */
+    update(delta) {
+        this.elapsed += delta;
+    }
+
+    static isGuard(npc) {
+        const personality = npc.personality || {};
+        return personality.role === 'guard' || (personality.traits?.duty ?? 0) >= 0.8;
+    }
+
+    /**
+     * The player did something to `victim`
+     * @param {string} kind - A SocialKnowledge fact kind ('hit', 'theft', 'threat', ...)
+     * @param {Object} options - { firsthand }: false when the victim didn't see it was the player;
+     *   { firsthandChange }: the victim's own reputation change, if not recorded elsewhere
+     * @returns {Array<NPC>} - The witnesses
+     */
+    report(kind, victim, options = {}) {
+        const definition = SocialKnowledge.getFactKind(kind);
+        if (!definition) return [];
+
+        const hostile = definition.impact < 0;
+        const witnesses = this.enabled ? this.getWitnesses(victim, definition.audible) : [];
+        const offences = hostile ? this.recordOffence(kind, victim) : 0;
+
+        this.game.socialKnowledge?.recordPlayerAction(victim, kind, {
+            firsthand: options.firsthand,
+            firsthandChange: options.firsthandChange,
+            witnesses: witnesses.map(witness => ({
+                npc: witness,
+                reputationChange: this.getReputationChange(witness, victim, definition.impact)
+            }))
+        });
+        if (!hostile) return witnesses;
+
+        const victimName = victim.getDisplayName();
+        witnesses.forEach(witness => {
+            // Seeing the player mistreat a neighbour brings them closer
+            this.game.relationships?.adjust(witness, victim, 'sympathy');
+
+            const guard = WitnessSystem.isGuard(witness);
+            const response = guard ? this.getGuardResponse(witness, offences) : null;
+            if (guard) {
+                console.log(`[Witness] ${witness.getDisplayName()} (guard) saw that the player ${definition.summary(victimName)}: ${response} (offence ${offences})`);
+            }
+            witness.agent.processEvent(WITNESSED_EVENT, {
+                kind: kind,
+                summary: definition.summary(victimName),
+                victim: { id: victim.id, name: victimName },
+                affinity: this.game.relationships?.getRelationship(witness, victim).affinity ?? 0,
+                guard: guard,
+                response: response,
+                offences: offences
+            });
+        });
+        return witnesses;
+    }
+
+    /**
+     * The player picked up the rock `victim` was on its way to collect
+     * (NPCAgent.collectNearestRock marks it)
+     */
+    reportTheft(victim) {
+        const seen = !!victim.perception?.perceivePlayer({ lookAround: true, remember: true });
+        if (seen) {
+            console.log(`[Witness] ${victim.getDisplayName()} saw the player take its rock`);
+            victim.mood?.feel('robbed');
+        }
+        return this.report('theft', victim, {
+            firsthand: seen,
+            firsthandChange: seen ? SocialKnowledge.getFactKind('theft').impact : 0
+        });
+    }
+
+    /**
+     * NPCs (other than the victim) who saw the victim and the player - or heard
+     * the player, for spoken acts
+     */
+    getWitnesses(victim, audible = false) {
+        const playerPosition = this.game.camera.position;
+        return this.game.npcs.filter(npc => {
+            if (npc === victim || !npc.agent || !npc.perception) return false;
+            if (audible) {
+                return Math.hypot(npc.position.x - playerPosition.x, npc.position.z - playerPosition.z) <= this.hearingRange;
+            }
+            return npc.perception.canSee(victim.position, { lookAround: true }).visible &&
+                npc.perception.canSee(playerPosition, { lookAround: true }).visible;
+        });
+    }
+
+    /**
+     * What seeing it costs the player with `witness`, by how much the witness
+     * cares about the victim
+     */
+    getReputationChange(witness, victim, impact) {
+        const affinity = this.game.relationships?.getRelationship(witness, victim).affinity ?? 0;
+        let care = Math.min(2, Math.max(0.25, 1 + affinity));
+        if (impact < 0 && WitnessSystem.isGuard(witness)) {
+            care = Math.max(1, care);
+        }
+        return Math.round(impact * this.witnessWeight * care);
+    }
+
+    /**
+     * Remember a hostile act
+     * @returns {number} - Hostile acts by the player within offenceWindow, this one included
+     */
+    recordOffence(kind, victim) {
+        const now = this.elapsed;
+        this.offences = this.offences.filter(offence => now - offence.time <= this.offenceWindow);
+        this.offences.push({ kind: kind, victimId: victim.id, time: now });
+        return this.offences.length;
+    }
+
+    getGuardResponse(guard, offences) {
+        if ((guard.agent?.memory.getPlayerReputation() ?? 0) <= PURSUE_REPUTATION) {
+            return 'pursue';
+        }
+        return GUARD_RESPONSES[Math.min(offences, GUARD_RESPONSES.length) - 1];
+    }
+}
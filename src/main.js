@@ -12,6 +12,16 @@ import { SpeechToText } from './SpeechToText.js';
 import { NPCAgent } from './NPCAgent.js';
 import { NPCMemory } from './NPCMemory.js';
 import { GameSetup } from './GameSetup.js';
+import { IdleScheduler } from './IdleScheduler.js';
+import { ConversationManager } from './ConversationManager.js';
+import { SocialKnowledge } from './SocialKnowledge.js';
+import { RelationshipGraph } from './RelationshipGraph.js';
+import { WitnessSystem } from './WitnessSystem.js';
+import { requestBroker } from './RequestBroker.js';
+import { RequestStatsPanel } from './RequestStatsPanel.js';
+import { AgentTrace, downloadJSON } from './AgentTrace.js';
+import { AgentInspector } from './AgentInspector.js';
+import { loadLLMSettings, checkLLMProxy, getDefaultProviderConfigs } from './LLMSettings.js';
 
 class Game {
     constructor(setupData = null) {
@@ -100,6 +110,26 @@ class Game {
         this.npcs = [];
         this.spawnNPCs();
         
+        // Autonomous idle behavior (periodic_check events)
+        this.idleScheduler = new IdleScheduler(this, this.setupData?.idleScheduler);
+        
+        // NPCs hearing and answering each other (npc_speech events)
+        this.conversations = new ConversationManager(this, this.setupData?.conversations);
+        
+        // How the NPCs feel about each other
+        this.relationships = new RelationshipGraph(this, this.setupData?.relationships);
+        
+        // Word about the player spreading between NPCs
+        this.socialKnowledge = new SocialKnowledge(this, this.setupData?.socialKnowledge);
+        
+        // Onlookers to what the player does to NPCs (witnessed_event events, guards stepping in)
+        this.witnesses = new WitnessSystem(this, this.setupData?.witnesses);
+        
+        // LLM request limits, the request stats debug panel (` key) and the agent inspector (I key)
+        requestBroker.configure(this.setupData?.requestBroker);
+        this.setupRequestStatsPanel();
+        this.setupAgentInspector();
+        
         // Setup keyboard listeners for throwing rocks
         this.setupThrowListener();
         
@@ -117,6 +147,14 @@ class Game {
             if (event.detail === true) {
                 // Rock was collected
                 this.inventory.addRocks(1);
+                
+                // ...from under the nose of an NPC on its way to pick it up
+                const rock = this.interactionSystem.getCurrentInteractable();
+                if (rock?.claimedBy) {
+                    const victim = rock.claimedBy;
+                    rock.claimedBy = null;
+                    this.witnesses.reportTheft(victim);
+                }
             }
         });
         
@@ -203,6 +241,36 @@ class Game {
         });
     }
     
+    setupRequestStatsPanel() {
+        this.requestStatsPanel = new RequestStatsPanel(requestBroker, this);
+        
+        document.addEventListener('keydown', (event) => {
+            if (this.textInputVisible) return;
+            
+            if (event.code === 'Backquote') {
+                this.requestStatsPanel.toggle();
+            }
+        });
+    }
+    
+    setupAgentInspector() {
+        this.agentInspector = new AgentInspector(this);
+        
+        document.addEventListener('keydown', (event) => {
+            if (this.textInputVisible) return;
+            
+            if (event.code === 'KeyI') {
+                this.agentInspector.toggle();
+            } else if (this.agentInspector.visible && event.code === 'BracketRight') {
+                this.agentInspector.selectNext(1);
+            } else if (this.agentInspector.visible && event.code === 'BracketLeft') {
+                this.agentInspector.selectNext(-1);
+            } else if (this.agentInspector.visible && event.code === 'Backslash') {
+                this.agentInspector.followCrosshair();
+            }
+        });
+    }
+    
     setupSpeechToText() {
         // Set up real-time transcript callback
         this.speechToText.onTranscript((transcript, interim) => {
@@ -634,6 +702,8 @@ class Game {
         
         // Get NPC profiles from setup data
         const npcProfiles = this.setupData?.npcProfiles || [];
+        // Default model endpoints: the key-holding proxy or the player's own keys
+        const llmDefaults = getDefaultProviderConfigs(loadLLMSettings(), this.setupData?.llmProxy);
         
         if (npcProfiles.length === 0) {
             // Default NPCs if no setup data
@@ -698,12 +768,32 @@ class Game {
             const memory = new NPCMemory(npc.id, npc.personality);
             console.log(`[Game] NPC ${npc.id}: Memory created`);
             
+            // LLM backend: a per-NPC profile setting wins over the global one
+            const agentOptions = {
+                provider: npc.personality?.llm || this.setupData?.llm || llmDefaults.provider,
+                sentimentProvider: this.setupData?.sentimentLLM || llmDefaults.sentimentProvider,
+                streaming: this.setupData?.streaming,
+                promptTemplates: npc.personality?.prompts || this.setupData?.prompts,
+                sentimentMode: this.setupData?.sentiment?.mode,
+                speechFilter: npc.personality?.speechFilter || this.setupData?.speechFilter,
+                promptSafety: this.setupData?.promptSafety
+            };
+
             // Create agent with player info
-            const agent = new NPCAgent(npc, this, memory, this.playerInfo);
+            const agent = new NPCAgent(npc, this, memory, this.playerInfo, agentOptions);
             console.log(`[Game] NPC ${npc.id}: Agent created`);
             
             // Link agent to NPC
             npc.setAgent(agent);
+            if (this.setupData?.behaviorTree) {
+                npc.behavior.tree.configure(this.setupData.behaviorTree);
+            }
+            if (this.setupData?.perception) {
+                npc.perception.configure(this.setupData.perception);
+            }
+            if (this.setupData?.mood) {
+                npc.mood.configure(this.setupData.mood);
+            }
             console.log(`[Game] NPC ${npc.id}: Agent linked to NPC`);
             
             // Verify agent is set
@@ -762,6 +852,14 @@ class Game {
         // Update NPCs (for future animations/behaviors)
         this.npcs.forEach(npc => npc.update(clampedDelta));
         
+        // Game time for the social systems' windows
+        this.socialKnowledge.update(clampedDelta);
+        this.conversations.update(clampedDelta);
+        this.witnesses.update(clampedDelta);
+        
+        // Let idle NPCs decide to do something on their own
+        this.idleScheduler.update(clampedDelta);
+        
         // Render
         this.renderer.render(this.scene, this.camera);
     }
@@ -913,6 +1011,38 @@ class Game {
         return this.inventory.getState();
     }
     
+    /**
+     * Download every agent's decision traces as one JSON file
+     */
+    exportAgentTraces() {
+        const exports = this.npcs
+            .filter(npc => npc.agent)
+            .map(npc => JSON.parse(npc.agent.trace.export()));
+        const json = JSON.stringify(exports, null, 2);
+        downloadJSON(json, `agent-traces-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        return json;
+    }
+    
+    /**
+     * Replay a recorded decision on an NPC without calling the model
+     * @param {number|string} npcId - NPC to replay on (defaults to the trace's own NPC)
+     * @param {Object|string} trace - A trace, an export (its first trace is used) or the id of a kept trace
+     */
+    replayAgentTrace(npcId, trace) {
+        let selected = trace;
+        const isExport = typeof trace === 'string' ? /^\s*[[{]/.test(trace) : Array.isArray(trace) || !!trace?.traces;
+        if (isExport) {
+            selected = AgentTrace.parse(trace)[0];
+        }
+        
+        const id = npcId ?? selected?.npcId;
+        const npc = this.npcs.find(n => String(n.id) === String(id));
+        if (!npc?.agent) {
+            throw new Error(`No NPC agent with id ${id}`);
+        }
+        return npc.agent.replayTrace(selected);
+    }
+    
     /**
      * Check for environment changes and notify NPCs
      */
@@ -968,10 +1098,16 @@ gameSetup.showSetup();
 
 // Wait for setup to complete
 let game = null;
-window.addEventListener('gameSetupComplete', (event) => {
+window.addEventListener('gameSetupComplete', async (event) => {
     const setupData = event.detail;
     console.log('[Main] Game setup complete, starting game...', setupData);
     
+    // Which services the dev-server proxy holds keys for (see LLMSettings.js)
+    if (loadLLMSettings().connection === 'proxy') {
+        setupData.llmProxy = await checkLLMProxy();
+        console.log('[Main] LLM proxy status:', setupData.llmProxy || 'no proxy, agents use offline backends');
+    }
+    
     // Start game with setup data
     game = new Game(setupData);
 
@@ -987,5 +1123,9 @@ window.throwRockAt = (startPosition, direction, speed, thrower, checkInventory =
 };
 window.getAvailableRocks = () => game.getAvailableRocks();
 window.getInventory = () => game.getInventory();
+
+// Debugging: decision traces (see AgentTrace.js)
+window.exportAgentTraces = () => game.exportAgentTraces();
+window.replayAgentTrace = (npcId, trace) => game.replayAgentTrace(npcId, trace);
 });
 
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { AgentEventQueue } from '../src/AgentEventQueue.js';
+
+function drain(queue) {
+    const handled = [];
+    let entry;
+    while ((entry = queue.shift())) {
+        handled.push(entry);
+    }
+    return handled;
+}
+
+describe('AgentEventQueue', () => {
+    it('hands out the most urgent event first, oldest first within a priority', () => {
+        const queue = new AgentEventQueue();
+        queue.push('periodic');
+        queue.push('player_query', { transcript: 'first' });
+        queue.push('hit', { thrower: { id: 'player' } });
+        queue.push('player_query', { transcript: 'second' });
+
+        expect(drain(queue).map(entry => entry.eventData.transcript ?? entry.eventType))
+            .toEqual(['hit', 'first', 'second', 'periodic']);
+    });
+
+    it('ranks unknown events with environment changes', () => {
+        expect(AgentEventQueue.getPriority('something_new')).toBe(AgentEventQueue.getPriority('environment_change'));
+    });
+
+    it('coalesces weather changes into the overall change', () => {
+        const queue = new AgentEventQueue();
+        queue.push('environment_change', { change: 'weather', previous: 'sunny', current: 'cloudy' });
+        queue.push('environment_change', { change: 'weather', previous: 'cloudy', current: 'rainy' });
+
+        const [entry] = drain(queue);
+        expect(entry.coalesced).toBe(2);
+        expect(entry.eventData.previous).toBe('sunny');
+        expect(entry.eventData.current).toBe('rainy');
+    });
+
+    it('drops a change that was undone while queued', async () => {
+        const queue = new AgentEventQueue();
+        const first = queue.push('environment_change', { change: 'weather', previous: 'sunny', current: 'rainy' });
+        queue.push('environment_change', { change: 'weather', previous: 'rainy', current: 'sunny' });
+
+        expect(queue.length).toBe(0);
+        await expect(first.done).resolves.toBeUndefined();
+    });
+
+    it('counts repeated hits from one thrower and keeps their place in line', () => {
+        const queue = new AgentEventQueue();
+        queue.push('hit', { thrower: { id: 'player' } });
+        queue.push('hit', { thrower: { id: 2 } });
+        queue.push('hit', { thrower: { id: 'player' } });
+
+        const handled = drain(queue);
+        expect(handled.map(entry => entry.eventData.thrower.id)).toEqual(['player', 2]);
+        expect(handled[0].eventData.hitCount).toBe(2);
+    });
+
+    it('only coalesces player messages that repeat word for word', () => {
+        const queue = new AgentEventQueue();
+        queue.push('player_query', { transcript: 'Hello' });
+        queue.push('player_query', { transcript: 'hello ' });
+        queue.push('player_query', { transcript: 'Goodbye' });
+
+        expect(queue.length).toBe(2);
+    });
+
+    it('resolves every coalesced caller once the merged event is handled', async () => {
+        const queue = new AgentEventQueue();
+        const first = queue.push('periodic');
+        const second = queue.push('periodic_check');
+        const [entry] = drain(queue);
+        queue.resolve(entry);
+
+        await expect(Promise.all([first.done, second.done])).resolves.toHaveLength(2);
+    });
+
+    it('drops the oldest least urgent event when full', () => {
+        const queue = new AgentEventQueue({ maxSize: 2 });
+        queue.push('environment_change', { change: 'weather', previous: 'sunny', current: 'rainy' });
+        queue.push('environment_change', { change: 'time_of_day', previous: 'day', current: 'dusk' });
+        queue.push('hit', { thrower: { id: 'player' } });
+
+        expect(queue.toArray().map(entry => entry.eventType)).toEqual(['hit', 'environment_change']);
+        expect(drain(queue)[1].eventData.change).toBe('time_of_day');
+    });
+
+    it('lets only low-priority events go stale', () => {
+        const queue = new AgentEventQueue();
+        const periodic = queue.push('periodic');
+        const query = queue.push('player_query', { transcript: 'hi' });
+        const hit = queue.push('hit', { thrower: { id: 'player' } });
+
+        expect(AgentEventQueue.isStale(periodic, query)).toBe(true);
+        expect(AgentEventQueue.isStale(query, hit)).toBe(false);
+    });
+});
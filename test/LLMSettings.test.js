@@ -0,0 +1,50 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { GeminiProvider, OpenAICompatibleProvider } from '../src/LLMProviders.js';
+import { checkLLMProxy, getDefaultProviderConfigs } from '../src/LLMSettings.js';
+
+const PROXY = { connection: 'proxy', geminiKey: '', groqKey: '' };
+
+function stubProxy(services) {
+    let answer;
+    const answered = new Promise(resolve => { answer = resolve; });
+    vi.stubGlobal('fetch', vi.fn(async () => {
+        await answered;
+        return { ok: true, json: async () => ({ services }) };
+    }));
+    return answer;
+}
+
+describe('proxy provider configs', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('counts only the services the given status has keys for', () => {
+        const configs = getDefaultProviderConfigs(PROXY, { services: { gemini: true, groq: false } });
+        expect(new GeminiProvider(configs.provider).isConfigured()).toBe(true);
+        expect(new OpenAICompatibleProvider(configs.sentimentProvider).isConfigured()).toBe(false);
+    });
+
+    it('counts nothing when no proxy answered', () => {
+        const configs = getDefaultProviderConfigs(PROXY, null);
+        expect(new GeminiProvider(configs.provider).isConfigured()).toBe(false);
+    });
+
+    it('is not configured until the status arrives, then follows it', async () => {
+        const answer = stubProxy({ gemini: true, groq: true });
+        const configs = getDefaultProviderConfigs(PROXY);
+        const provider = new GeminiProvider(configs.provider);
+        expect(provider.isConfigured()).toBe(false);
+
+        const check = checkLLMProxy();
+        answer();
+        await check;
+        expect(provider.isConfigured()).toBe(true);
+    });
+
+    it('uses the player\'s keys in own-keys mode', () => {
+        const configs = getDefaultProviderConfigs({ connection: 'own-keys', geminiKey: 'k', groqKey: '' });
+        expect(new GeminiProvider(configs.provider).isConfigured()).toBe(true);
+        expect(new OpenAICompatibleProvider(configs.sentimentProvider).isConfigured()).toBe(false);
+    });
+});
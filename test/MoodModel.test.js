@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MoodModel } from '../src/MoodModel.js';
+
+describe('MoodModel saving', () => {
+    let recordMood;
+    let mood;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        recordMood = vi.fn();
+        const npc = { id: 1, personality: { traits: { friendliness: 0.5, energy: 0.5 } }, agent: { memory: { recordMood } } };
+        mood = new MoodModel(npc);
+    });
+
+    it('saves when the label changes', () => {
+        mood.feel('hit');
+        expect(recordMood).toHaveBeenCalledTimes(1);
+        mood.update(5);
+        mood.feel('friendly_message');
+        expect(mood.getLabel()).not.toBe('startled');
+        expect(recordMood).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not save small moves that keep the label', () => {
+        mood.feel('neutral_message');
+        recordMood.mockClear();
+        mood.feel('neutral_message', { intensity: 0.1 });
+        mood.feel('neutral_message', { intensity: 0.1 });
+        expect(recordMood).not.toHaveBeenCalled();
+    });
+
+    it('saves unsaved moves after the interval', () => {
+        mood.feel('neutral_message');
+        mood.feel('neutral_message', { intensity: 0.1 });
+        recordMood.mockClear();
+        mood.update(10);
+        expect(recordMood).not.toHaveBeenCalled();
+        mood.update(25);
+        expect(recordMood).toHaveBeenCalledTimes(1);
+        mood.update(60);
+        expect(recordMood).toHaveBeenCalledTimes(1);
+    });
+});
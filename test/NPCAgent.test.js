@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LLMProvider } from '../src/LLMProviders.js';
+import { ScriptedProvider } from '../src/ScriptedAgentBackend.js';
+import { NPCMemory } from '../src/NPCMemory.js';
+import { NPCAgent } from '../src/NPCAgent.js';
+
+// A remote model that is down
+class FailingProvider extends LLMProvider {
+    constructor(config = {}) {
+        super({ type: 'failing', ...config });
+        this.calls = 0;
+    }
+
+    usesNetwork() {
+        return false;
+    }
+
+    async generate() {
+        this.calls++;
+        throw new Error('503 Service Unavailable');
+    }
+}
+
+// A remote model without an API key
+class UnconfiguredProvider extends FailingProvider {
+    isConfigured() {
+        return false;
+    }
+}
+
+function makeAgent(options) {
+    const npc = { id: 1, personality: { name: 'Elenor', traits: { courage: 0.9 } } };
+    const game = { npcs: [npc] };
+    return new NPCAgent(npc, game, new NPCMemory(1, npc.personality), null, {
+        sentimentMode: 'local',
+        streaming: false,
+        ...options
+    });
+}
+
+function makeRequest() {
+    return {
+        messages: [{ role: 'user', text: 'You were hit by a rock.' }],
+        tools: [],
+        context: {
+            eventType: 'hit',
+            eventData: { thrower: { id: 'player', type: 'player' } },
+            npcState: { npcId: 1, position: { x: 0, y: 0, z: 0 }, inventory: { rocks: 0 } },
+            memory: { personality: { name: 'Elenor', traits: { courage: 0.9 } }, playerReputation: 0 }
+        }
+    };
+}
+
+describe('NPCAgent.callLLM fallback', () => {
+    beforeEach(() => {
+        const store = {};
+        vi.stubGlobal('localStorage', {
+            getItem: key => store[key] ?? null,
+            setItem: (key, value) => { store[key] = String(value); },
+            removeItem: key => { delete store[key]; }
+        });
+    });
+
+    it('answers from the scripted backend when the provider fails', async () => {
+        const provider = new FailingProvider();
+        const agent = makeAgent({ provider, sentimentProvider: new ScriptedProvider() });
+
+        const response = await agent.callLLM(makeRequest());
+
+        expect(provider.calls).toBe(1);
+        expect(response.provider).toBe('scripted');
+        expect(response.functionCalls.map(fc => fc.name)).toEqual(['set_expression', 'speak', 'collect_nearest_rock']);
+    });
+
+    it('skips a provider that has no key', async () => {
+        const provider = new UnconfiguredProvider();
+        const agent = makeAgent({ provider, sentimentProvider: new ScriptedProvider() });
+
+        const response = await agent.callLLM(makeRequest());
+
+        expect(provider.calls).toBe(0);
+        expect(response.provider).toBe('scripted');
+    });
+
+    it('rethrows when the fallback is disabled', async () => {
+        const agent = makeAgent({ provider: new FailingProvider(), sentimentProvider: new ScriptedProvider(), fallbackProvider: false });
+
+        await expect(agent.callLLM(makeRequest())).rejects.toThrow('503');
+    });
+
+    it('does not fall back from an aborted request', async () => {
+        class AbortedProvider extends FailingProvider {
+            async generate() {
+                const error = new Error('Request aborted');
+                error.name = 'AbortError';
+                throw error;
+            }
+        }
+        const agent = makeAgent({ provider: new AbortedProvider(), sentimentProvider: new ScriptedProvider() });
+
+        await expect(agent.callLLM(makeRequest())).rejects.toThrow('Request aborted');
+    });
+});
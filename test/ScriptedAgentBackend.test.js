@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { ScriptedProvider } from '../src/ScriptedAgentBackend.js';
+
+/**
+ * Agent context as NPCAgent.getContext builds it, with only what the rules read
+ */
+function makeContext(eventType, eventData = {}, { traits = {}, reputation = 0, rocks = 0, relationships = [] } = {}) {
+    return {
+        eventType,
+        eventData,
+        playerName: 'Ada',
+        npcState: { npcId: 1, position: { x: 10, y: 0, z: 0 }, inventory: { rocks } },
+        memory: { personality: { name: 'Elenor', traits }, playerReputation: reputation, relationships }
+    };
+}
+
+function callNames(response) {
+    return response.functionCalls.map(fc => fc.name);
+}
+
+describe('ScriptedProvider', () => {
+    it('does not use the network', () => {
+        expect(new ScriptedProvider().usesNetwork()).toBe(false);
+    });
+
+    it('retaliates against a disliked player when brave and armed', async () => {
+        const response = await new ScriptedProvider().generate({
+            messages: [{ role: 'user', text: 'hit' }],
+            context: makeContext('hit', { thrower: { id: 'player', type: 'player' } }, { traits: { courage: 0.9 }, reputation: -10, rocks: 2 })
+        });
+        expect(callNames(response)).toEqual(['set_expression', 'speak', 'throw_rock']);
+        expect(response.functionCalls[2].args).toEqual({ target_id: 'player' });
+    });
+
+    it('looks for a rock when brave but unarmed', () => {
+        const response = new ScriptedProvider().decide(
+            makeContext('hit', { thrower: { id: 'player' } }, { traits: { courage: 0.9 }, reputation: -10 })
+        );
+        expect(callNames(response)).toEqual(['set_expression', 'speak', 'collect_nearest_rock']);
+    });
+
+    it('forgives a close friend among the NPCs', () => {
+        const response = new ScriptedProvider().decide(makeContext('hit', { thrower: { id: 2, type: 'npc' } }, {
+            traits: { courage: 0.9 },
+            rocks: 2,
+            relationships: [{ npcId: 2, affinity: 0.6 }]
+        }));
+        expect(callNames(response)).not.toContain('throw_rock');
+    });
+
+    it('flees when neither brave nor friendly, away from the map centre', () => {
+        const response = new ScriptedProvider().decide(
+            makeContext('hit', { thrower: { id: 'player' } }, { traits: { courage: 0.2, strength: 0.2, friendliness: 0.2 } })
+        );
+        expect(callNames(response)).toEqual(['set_expression', 'speak', 'move_to']);
+        expect(response.functionCalls[2].args).toEqual({ x: 18, z: 0 });
+    });
+
+    it('answers hostile messages by reputation', () => {
+        const provider = new ScriptedProvider();
+        const hated = provider.decide(makeContext('player_query', { sentiment: { label: 'hostile' } }, { reputation: -20 }));
+        const merely = provider.decide(makeContext('player_query', { sentiment: { label: 'threatening' } }, { reputation: 0 }));
+        expect(hated.functionCalls[0].args).toEqual({ expression: 'Angry' });
+        expect(merely.functionCalls[0].args).toEqual({ expression: 'Frown' });
+    });
+
+    it('acts on requests it recognises', () => {
+        const response = new ScriptedProvider().decide(makeContext('player_query', { transcript: 'Could you turn on the LAMP?' }));
+        expect(callNames(response)).toEqual(['speak', 'interact_with_nearest_lamp']);
+    });
+
+    it('fills the player name into its lines', () => {
+        const response = new ScriptedProvider().decide(
+            makeContext('player_query', { transcript: 'hi' }, { traits: { friendliness: 0.8 }, reputation: 15 })
+        );
+        const speech = response.functionCalls.find(fc => fc.name === 'speak').args.message;
+        expect(speech).not.toContain('{player}');
+        expect(speech).toContain('Ada');
+    });
+
+    it('follows the guard response of a witnessed event', () => {
+        const response = new ScriptedProvider().decide(
+            makeContext('witnessed_event', { response: 'pursue', victim: { id: 2, name: 'Bram' } })
+        );
+        expect(callNames(response)).toEqual(['set_expression', 'speak', 'pursue_player']);
+    });
+
+    it('treats periodic_check as a periodic event', () => {
+        const response = new ScriptedProvider().decide(makeContext('periodic_check', {}, { traits: { energy: 0.9 } }));
+        expect(callNames(response)).toEqual(['collect_nearest_rock']);
+    });
+
+    it('ends the turn once tool results come back', async () => {
+        const response = await new ScriptedProvider().generate({
+            messages: [{ role: 'tool', functionResponses: [] }],
+            context: makeContext('hit', { thrower: { id: 'player' } })
+        });
+        expect(response).toEqual({ text: '', functionCalls: [] });
+    });
+
+    it('does nothing without an agent context', async () => {
+        const response = await new ScriptedProvider().generate({ messages: [] });
+        expect(response.functionCalls).toEqual([]);
+    });
+
+    it('is deterministic for the same sequence of events', () => {
+        const run = () => {
+            const provider = new ScriptedProvider();
+            return [
+                provider.decide(makeContext('periodic', {})),
+                provider.decide(makeContext('player_query', { transcript: 'hello' })),
+                provider.decide(makeContext('periodic', {}))
+            ];
+        };
+        expect(run()).toEqual(run());
+    });
+
+    it('accepts custom rule tables', () => {
+        const provider = new ScriptedProvider({
+            rules: { periodic: [{ name: 'wait', when: () => true, calls: () => [{ name: 'wait', args: { seconds: 3 } }] }] }
+        });
+        const response = provider.decide(makeContext('hit', {}));
+        expect(response.functionCalls).toEqual([{ id: 'scripted_1_0', name: 'wait', args: { seconds: 3 } }]);
+    });
+});
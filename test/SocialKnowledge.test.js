@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SocialKnowledge, describeFact } from '../src/SocialKnowledge.js';
+import { NPCMemory } from '../src/NPCMemory.js';
+
+function makeNPC(id, name, personality = {}) {
+    const npc = {
+        id,
+        personality: { name, ...personality },
+        getDisplayName: () => name
+    };
+    npc.agent = { memory: new NPCMemory(id, npc.personality) };
+    return npc;
+}
+
+describe('SocialKnowledge', () => {
+    let social;
+    let elenor;
+    let marcus;
+    let ida;
+
+    beforeEach(() => {
+        const store = {};
+        vi.stubGlobal('localStorage', {
+            getItem: key => store[key] ?? null,
+            setItem: (key, value) => { store[key] = String(value); },
+            removeItem: key => { delete store[key]; }
+        });
+        elenor = makeNPC(1, 'Elenor');
+        marcus = makeNPC(2, 'Marcus');
+        ida = makeNPC(3, 'Ida', { trusts: { Marcus: 1 } });
+        social = new SocialKnowledge({ npcs: [elenor, marcus, ida] });
+    });
+
+    it('teaches the victim and the witnesses', () => {
+        const fact = social.recordPlayerAction(elenor, 'hit', { witnesses: [{ npc: marcus, reputationChange: -6 }] });
+
+        expect(elenor.agent.memory.knowsFact(fact.factId)).toBe(true);
+        expect(marcus.agent.memory.getPlayerReputation()).toBe(-6);
+        expect(describeFact(marcus.agent.memory.getKnownFacts()[0], marcus.id)).toBe('you saw that the player threw a rock at Elenor');
+    });
+
+    it('treats a repeat within a minute as the same story, even if the victim saw neither', () => {
+        const witnesses = [{ npc: marcus, reputationChange: -6 }];
+        expect(social.recordPlayerAction(elenor, 'hit', { firsthand: false, witnesses })).not.toBeNull();
+        social.update(30);
+        expect(social.recordPlayerAction(elenor, 'hit', { firsthand: false, witnesses })).toBeNull();
+
+        expect(marcus.agent.memory.getPlayerReputation()).toBe(-6);
+        expect(elenor.agent.memory.getKnownFacts()).toHaveLength(0);
+    });
+
+    it('counts a repeat once a minute of game time has passed', () => {
+        social.recordPlayerAction(elenor, 'hit', { firsthand: false });
+        social.update(61);
+        expect(social.recordPlayerAction(elenor, 'hit', { firsthand: false })).not.toBeNull();
+        expect(social.recordPlayerAction(marcus, 'hit', { firsthand: false })).not.toBeNull();
+    });
+
+    it('passes facts on by trust, each only once', () => {
+        social.recordPlayerAction(elenor, 'hit', { witnesses: [{ npc: marcus, reputationChange: -6 }] });
+
+        social.share(marcus, [ida]);
+        social.share(marcus, [ida]);
+
+        expect(ida.agent.memory.getPlayerReputation()).toBe(-10);
+        expect(describeFact(ida.agent.memory.getKnownFacts()[0], ida.id)).toBe('Marcus told you the player threw a rock at Elenor');
+    });
+
+    it('does not teach a fact again once it has dropped out of the known facts', () => {
+        social.recordPlayerAction(elenor, 'hit', { witnesses: [{ npc: marcus, reputationChange: -6 }] });
+        social.share(marcus, [ida]);
+        for (let i = 0; i < 45; i++) {
+            ida.agent.memory.learnFact({ factId: `filler_${i}`, kind: 'kindness', summary: 'was kind', impact: 2, chain: [], source: 'told' });
+        }
+
+        social.share(marcus, [ida]);
+
+        expect(ida.agent.memory.getPlayerReputation()).toBe(-10);
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import '../src/DefaultTools.js';
+import { SpeechFilter } from '../src/SpeechFilter.js';
+
+describe('SpeechFilter', () => {
+    const filter = new SpeechFilter({ speakerNames: ['Elenor'] });
+
+    it('strips stage directions, speaker labels and quotes', () => {
+        expect(filter.filter('*sighs heavily* Fine, I will help.').text).toBe('Fine, I will help.');
+        expect(filter.filter('Elenor says: [quietly] Over there (looks away).').text).toBe('Over there.');
+        expect(filter.filter('"Good morning."').text).toBe('Good morning.');
+        expect(filter.filter('speak("Hello there")').text).toBe('Hello there');
+    });
+
+    it('hides an unclosed stage direction while streaming', () => {
+        expect(filter.filter('Well then. *walks to', { partial: true }).text).toBe('Well then.');
+    });
+
+    it('rejects assistant talk', () => {
+        const result = filter.filter('As an AI language model, I cannot throw rocks.');
+        expect(result.rejected).toBe(true);
+        expect(filter.describeRejection(result)).toContain('speak()');
+    });
+
+    it('rejects calls to any registered tool', () => {
+        expect(filter.filter('throw_rock(target_id="player")').rejected).toBe(true);
+        expect(filter.filter('Right away. hide_from_rain()').rejected).toBe(true);
+        expect(filter.filter('pursue_player (seconds=10)').rejected).toBe(true);
+        expect(filter.filter('Okay wait(5)').rejected).toBe(true);
+    });
+
+    it('keeps speech that only looks like a tool name', () => {
+        expect(filter.filter('Wait (just a moment) please').rejected).toBe(false);
+        expect(filter.filter('I will hide from the rain').rejected).toBe(false);
+    });
+
+    it('rejects nothing-but-narration', () => {
+        expect(filter.filter('*nods*').rejected).toBe(true);
+    });
+
+    it('masks profanity as whole words', () => {
+        expect(filter.filter('Oh shit, the rain.').text).toBe('Oh s***, the rain.');
+        expect(filter.filter('What a bunch of bastards.').text).toBe('What a bunch of b*******.');
+        expect(filter.filter('Pass me the scunthorpe map.').text).toBe('Pass me the scunthorpe map.');
+    });
+
+    it('leaves names and everyday words off the default list', () => {
+        expect(filter.filter('Dick told me to cock the crossbow by the weathercock.').changes).not.toContain('profanity');
+    });
+
+    it('lets a profile add stricter words or reject outright', () => {
+        const strict = new SpeechFilter({ profanity: { mode: 'reject', extraWords: ['darn'] } });
+        expect(strict.filter('Darn it!').rejected).toBe(true);
+        expect(strict.filter('Shit!').rejected).toBe(true);
+    });
+
+    it('rejects blocked patterns and forbidden phrases', () => {
+        const custom = new SpeechFilter({ blockedPatterns: ['secret\\s+door'], forbiddenPhrases: ['Player One'] });
+        expect(custom.filter('The secret  door is here.').rejected).toBe(true);
+        expect(custom.filter('Hello, player one.').rejected).toBe(true);
+    });
+
+    it('cuts long speech at a sentence end', () => {
+        const short = new SpeechFilter({ maxLength: 40 });
+        const result = short.filter('This is the first sentence. And this one goes on far too long.');
+        expect(result.text).toBe('This is the first sentence.');
+        expect(result.changes).toContain('length');
+    });
+
+    it('passes everything through when disabled', () => {
+        expect(new SpeechFilter({ enabled: false }).filter(' *sighs* shit ').text).toBe('*sighs* shit');
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { validateToolArguments, formatValidationErrors } from '../src/ToolValidation.js';
+
+const MOVE_SCHEMA = {
+    type: 'object',
+    properties: {
+        x: { type: 'number', minimum: -100, maximum: 100 },
+        z: { type: 'number', minimum: -100, maximum: 100 }
+    },
+    required: ['x', 'z']
+};
+
+const EXPRESSION_SCHEMA = {
+    type: 'object',
+    properties: {
+        expression: { type: 'string', enum: ['Neutral', 'Smile', 'Frown'] },
+        seconds: { type: 'integer' },
+        loud: { type: 'boolean' },
+        target_id: { type: 'string' }
+    },
+    required: ['expression']
+};
+
+describe('validateToolArguments', () => {
+    it('accepts valid arguments as they are', () => {
+        expect(validateToolArguments(MOVE_SCHEMA, { x: 4, z: -2 })).toEqual({ valid: true, args: { x: 4, z: -2 }, errors: [], adjustments: [] });
+    });
+
+    it('reports missing required arguments', () => {
+        const result = validateToolArguments(MOVE_SCHEMA, { x: 1, z: '' });
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([{ field: 'z', message: 'Missing required argument "z"' }]);
+    });
+
+    it('rejects arguments that are not an object', () => {
+        expect(validateToolArguments(MOVE_SCHEMA, [1, 2]).errors[0].message).toBe('Arguments must be an object');
+        expect(validateToolArguments(MOVE_SCHEMA, null).valid).toBe(false);
+    });
+
+    it('reads numeric strings as numbers and rejects anything else', () => {
+        expect(validateToolArguments(MOVE_SCHEMA, { x: '12.5', z: 0 }).args.x).toBe(12.5);
+        const result = validateToolArguments(MOVE_SCHEMA, { x: 'north', z: 0 });
+        expect(result.errors[0].message).toBe('"x" must be a number, got "north"');
+    });
+
+    it('clamps out-of-range numbers and says so', () => {
+        const result = validateToolArguments(MOVE_SCHEMA, { x: 250, z: -101 });
+        expect(result.valid).toBe(true);
+        expect(result.args).toEqual({ x: 100, z: -100 });
+        expect(result.adjustments).toEqual(['"x" clamped from 250 to 100', '"z" clamped from -101 to -100']);
+    });
+
+    it('requires whole numbers for integers', () => {
+        const result = validateToolArguments(EXPRESSION_SCHEMA, { expression: 'Smile', seconds: 2.5 });
+        expect(result.errors[0].message).toBe('"seconds" must be a whole number, got 2.5');
+    });
+
+    it('matches enum values regardless of case', () => {
+        expect(validateToolArguments(EXPRESSION_SCHEMA, { expression: ' smile ' }).args.expression).toBe('Smile');
+        expect(validateToolArguments(EXPRESSION_SCHEMA, { expression: 'Grin' }).errors[0].message)
+            .toBe('"expression" must be one of "Neutral", "Smile", "Frown", got "Grin"');
+    });
+
+    it('takes numbers for string IDs and "true"/"false" for booleans', () => {
+        const result = validateToolArguments(EXPRESSION_SCHEMA, { expression: 'Frown', target_id: 3, loud: 'true' });
+        expect(result.args).toEqual({ expression: 'Frown', target_id: '3', loud: true });
+        expect(validateToolArguments(EXPRESSION_SCHEMA, { expression: 'Frown', loud: 'yes' }).valid).toBe(false);
+    });
+
+    it('ignores unknown arguments with a note', () => {
+        const result = validateToolArguments(MOVE_SCHEMA, { x: 1, z: 1, speed: 'fast' });
+        expect(result.args).toEqual({ x: 1, z: 1 });
+        expect(result.adjustments).toEqual(['Ignored unknown argument "speed"']);
+    });
+});
+
+describe('formatValidationErrors', () => {
+    it('joins the messages into one line', () => {
+        const { errors } = validateToolArguments(MOVE_SCHEMA, {});
+        expect(formatValidationErrors('move_to', errors))
+            .toBe('Invalid arguments for move_to: Missing required argument "x"; Missing required argument "z"');
+    });
+});
@@ -0,0 +1,165 @@
+import { defineConfig, loadEnv } from 'vite';
+import { Readable } from 'node:stream';
+
+/**
+ * LLM proxy - Keeps API keys on the dev/preview server
+ * The browser posts to /api/llm/<service>/<path>; the proxy adds the key from
+ * the server environment (.env: GEMINI_API_KEY, GROQ_API_KEY, OPENAI_API_KEY)
+ * and forwards the request, streaming the reply back. GET /api/llm/status
+ * reports which services have a key, without revealing it.
+ *
+ * Only the game itself may spend the keys: requests must come from the server's
+ * own origin, be JSON, and go to one of the service's generation endpoints.
+ *
+ * The keys have no VITE_ prefix, so Vite never exposes them to client code.
+ */
+const LLM_SERVICES = {
+    gemini: {
+        target: 'https://generativelanguage.googleapis.com/v1beta',
+        envKey: 'GEMINI_API_KEY',
+        authorize: (url, headers, key) => url.searchParams.set('key', key),
+        paths: /^models\/[\w.-]+:(generateContent|streamGenerateContent)$/
+    },
+    groq: {
+        target: 'https://api.groq.com/openai/v1',
+        envKey: 'GROQ_API_KEY',
+        authorize: (url, headers, key) => { headers.Authorization = `Bearer ${key}`; },
+        paths: /^chat\/completions$/
+    },
+    openai: {
+        target: 'https://api.openai.com/v1',
+        envKey: 'OPENAI_API_KEY',
+        authorize: (url, headers, key) => { headers.Authorization = `Bearer ${key}`; },
+        paths: /^chat\/completions$/
+    }
+};
+
+function llmProxy(env) {
+    const sendJSON = (res, status, data) => {
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(data));
+    };
+
+    const readBody = (req) => new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+
+    // Browsers send Origin with every POST; another page's origin (or none) means it isn't the game
+    const isSameOrigin = (req) => {
+        const origin = req.headers.origin;
+        if (!origin || !req.headers.host) return false;
+        try {
+            return new URL(origin).host === req.headers.host;
+        } catch {
+            return false;
+        }
+    };
+
+    const middleware = async (req, res) => {
+        const requestUrl = new URL(req.url, 'http://localhost');
+
+        if (requestUrl.pathname === '/status') {
+            const services = {};
+            Object.entries(LLM_SERVICES).forEach(([name, service]) => {
+                services[name] = !!env[service.envKey];
+            });
+            sendJSON(res, 200, { services });
+            return;
+        }
+
+        const [, serviceName, ...path] = requestUrl.pathname.split('/');
+        const service = LLM_SERVICES[serviceName];
+        if (!service) {
+            sendJSON(res, 404, { error: { message: `Unknown LLM service "${serviceName}"` } });
+            return;
+        }
+        if (req.method !== 'POST') {
+            sendJSON(res, 405, { error: { message: 'Only POST is forwarded' } });
+            return;
+        }
+        if (!isSameOrigin(req)) {
+            sendJSON(res, 403, { error: { message: 'Requests must come from the game\'s own origin' } });
+            return;
+        }
+        if (!(req.headers['content-type'] || '').toLowerCase().startsWith('application/json')) {
+            sendJSON(res, 415, { error: { message: 'Only application/json is forwarded' } });
+            return;
+        }
+        if (!service.paths.test(path.join('/'))) {
+            sendJSON(res, 404, { error: { message: `"${path.join('/')}" is not a ${serviceName} endpoint the proxy forwards` } });
+            return;
+        }
+
+        const key = env[service.envKey];
+        if (!key) {
+            // 401 rather than 5xx so the request broker doesn't retry it
+            sendJSON(res, 401, { error: { message: `${service.envKey} is not set on the server` } });
+            return;
+        }
+
+        const upstreamUrl = new URL(`${service.target}/${path.join('/')}`);
+        requestUrl.searchParams.forEach((value, name) => {
+            if (name !== 'key') upstreamUrl.searchParams.set(name, value);
+        });
+        const headers = { 'Content-Type': 'application/json' };
+        service.authorize(upstreamUrl, headers, key);
+
+        // Stop the upstream call if the browser goes away (e.g. a cancelled request)
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        try {
+            const upstream = await fetch(upstreamUrl, {
+                method: 'POST',
+                headers,
+                body: await readBody(req),
+                signal: controller.signal
+            });
+
+            res.statusCode = upstream.status;
+            ['content-type', 'retry-after'].forEach(name => {
+                const value = upstream.headers.get(name);
+                if (value) res.setHeader(name, value);
+            });
+            if (!upstream.body) {
+                res.end();
+                return;
+            }
+            Readable.fromWeb(upstream.body).on('error', () => res.end()).pipe(res);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error(`[LLM Proxy] ${serviceName} request failed:`, error.message);
+            sendJSON(res, 502, { error: { message: `Could not reach ${serviceName}: ${error.message}` } });
+        }
+    };
+
+    return {
+        name: 'llm-proxy',
+        configureServer(server) {
+            server.middlewares.use('/api/llm', middleware);
+        },
+        configurePreviewServer(server) {
+            server.middlewares.use('/api/llm', middleware);
+        }
+    };
+}
+
+export default defineConfig(({ mode }) => {
+    // '' loads every variable from .env, not just VITE_ ones; they stay on the server
+    const env = { ...loadEnv(mode, process.cwd(), ''), ...process.env };
+
+    return {
+        plugins: [llmProxy(env)],
+        test: {
+            include: ['test/**/*.test.js'],
+            // The modules log every step; failures still show in full
+            silent: true
+        }
+    };
+});